@@ -3,16 +3,85 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 require('dotenv').config();
 const routes = require('./routes/api');
+const apiKeyRoutes = require('./routes/apikeys');
+const scoringModelRoutes = require('./routes/scoringmodels');
+const duplicateRoutes = require('./routes/duplicates');
+const discoveryRoutes = require('./routes/discovery');
+const webhookRoutes = require('./routes/webhooks');
+const campaignRoutes = require('./routes/campaigns');
+const exportRoutes = require('./routes/export');
+const payoutRoutes = require('./routes/payouts');
+const analyticsRoutes = require('./routes/analytics');
+const projectRoutes = require('./routes/projects');
+const healthRoutes = require('./routes/health');
+const { startScheduler } = require('./services/scheduler');
+const { buildOpenApiDocument } = require('./services/openapi');
+const { sendError, sendServerError } = require('./middleware/errors');
+const { httpMetrics } = require('./services/metrics');
+const { requestLog } = require('./middleware/requestlog');
+const { createLogger } = require('./services/logger');
+
+const log = createLogger('server');
+const dbLog = createLogger('mongo');
+const DB_WRITE_METHODS = new Set([
+  'insertOne', 'insertMany', 'updateOne', 'updateMany', 'replaceOne', 'bulkWrite',
+  'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete', 'deleteOne', 'deleteMany'
+]);
+
+// Writes are logged at debug level under the correlation ID of the request or job that issued them
+if (dbLog.isDebugEnabled()) {
+  mongoose.set('debug', (collection, method, filter) => {
+    if (DB_WRITE_METHODS.has(method)) {
+      dbLog.debug(`${collection}.${method}`, { collection, method, filter: method.startsWith('insert') ? undefined : filter });
+    }
+  });
+}
 
 const app = express();
 
+app.use(requestLog);
 app.use(express.json());
 app.use(cors());
-app.use('/solcontent', routes);
+app.use(httpMetrics);
+app.use(healthRoutes);
+const apiRouters = [
+  routes,
+  apiKeyRoutes,
+  scoringModelRoutes,
+  duplicateRoutes,
+  discoveryRoutes,
+  webhookRoutes,
+  campaignRoutes,
+  exportRoutes,
+  payoutRoutes,
+  analyticsRoutes,
+  projectRoutes
+];
+apiRouters.forEach(router => app.use('/solcontent', router));
+
+const openApiDocument = buildOpenApiDocument(apiRouters, {
+  basePath: '/solcontent',
+  title: 'Blabz API',
+  version: require('./package.json').version
+});
+app.get('/solcontent/openapi.json', (req, res) => res.json(openApiDocument));
+
+app.use((req, res) => sendError(res, 404, `No route for ${req.method} ${req.path}`));
+// Errors that escape the routers, e.g. a malformed JSON body rejected by express.json()
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'Request body is not valid JSON', { code: 'VALIDATION_ERROR', fields: [{ field: 'body', message: err.message }] });
+  }
+  log.error('Unhandled error', { err });
+  sendServerError(res, err);
+});
 
 mongoose.connect(process.env.MONGODB_URI, { useNewUrlParser: true, useUnifiedTopology: true })
-  .then(() => console.log('[MongoDB] Connected'))
-  .catch(err => console.error('[MongoDB] Connection error:', err));
+  .then(() => {
+    log.info('MongoDB connected');
+    startScheduler();
+  })
+  .catch(err => log.error('MongoDB connection error', { err }));
 
 const port = process.env.PORT || 3000;
-app.listen(port, () => console.log(`Server running on port ${port}`));
+app.listen(port, () => log.info(`Server running on port ${port}`, { port }));
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/apikey');
+const Project = require('../models/project');
+const { sendError, sendServerError } = require('./errors');
+const { createLogger } = require('../services/logger');
+
+const log = createLogger('auth');
+
+const KEY_PREFIX = 'blabz_';
+
+function generateApiKey() {
+  return KEY_PREFIX + crypto.randomBytes(32).toString('hex');
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function readApiKey(req) {
+  const header = req.get('authorization') || '';
+  if (header.toLowerCase().startsWith('bearer ')) {
+    return header.slice(7).trim();
+  }
+  return req.get('x-api-key') || null;
+}
+
+// ADMIN_API_KEY lets the first admin in before any keys exist in Mongo
+function matchesBootstrapKey(keyHash) {
+  if (!process.env.ADMIN_API_KEY) return false;
+  const expected = Buffer.from(hashApiKey(process.env.ADMIN_API_KEY), 'hex');
+  return crypto.timingSafeEqual(expected, Buffer.from(keyHash, 'hex'));
+}
+
+async function authenticate(req, res, next) {
+  try {
+    const key = readApiKey(req);
+    if (!key) {
+      return sendError(res, 401, 'Authentication required: provide an API key as a Bearer token or X-API-Key header');
+    }
+    const keyHash = hashApiKey(key);
+    if (matchesBootstrapKey(keyHash)) {
+      req.apiKey = { _id: null, name: 'bootstrap-admin', role: 'admin', projectId: null };
+      return next();
+    }
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { keyHash, revokedAt: null },
+      { $set: { lastUsedAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (!apiKey) {
+      return sendError(res, 401, 'Invalid API key');
+    }
+    req.apiKey = apiKey;
+    next();
+  } catch (err) {
+    log.error('API key lookup error', { err });
+    sendServerError(res, err);
+  }
+}
+
+function requireRole(...roles) {
+  return [authenticate, (req, res, next) => {
+    if (!roles.includes(req.apiKey.role)) {
+      return sendError(res, 403, `Requires one of roles: ${roles.join(', ')}`);
+    }
+    next();
+  }];
+}
+
+// Admins may edit any project; project-owner keys only the project they are bound to.
+// findProject(req) returns the Mongo filter of the project the route is about to change.
+function requireProjectAccess(findProject) {
+  return [authenticate, async (req, res, next) => {
+    try {
+      if (req.apiKey.role === 'admin') return next();
+      if (req.apiKey.role !== 'project-owner' || !req.apiKey.projectId) {
+        return sendError(res, 403, 'Requires admin or project-owner role');
+      }
+      const project = await Project.findOne(findProject(req)).select('_id').lean();
+      if (!project || !project._id.equals(req.apiKey.projectId)) {
+        return sendError(res, 403, 'API key is not allowed to modify this project');
+      }
+      next();
+    } catch (err) {
+      log.error('Project access check error', { err });
+      sendServerError(res, err);
+    }
+  }];
+}
+
+module.exports = {
+  generateApiKey,
+  hashApiKey,
+  authenticate,
+  requireRole,
+  requireProjectAccess
+};
@@ -0,0 +1,57 @@
+// Every error response has the same envelope: { error: { code, message, fields } }
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  429: 'RATE_LIMITED',
+  500: 'SERVER_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+// fields is a list of { field, message }; plain strings (e.g. from validateMatchRules) are
+// attributed to the body
+function toFieldErrors(fields, defaultField = 'body') {
+  return (fields || []).map(entry => (typeof entry === 'string' ? { field: defaultField, message: entry } : entry));
+}
+
+function sendError(res, status, message, { code, fields } = {}) {
+  return res.status(status).json({
+    error: {
+      code: code || ERROR_CODES[status] || 'ERROR',
+      message,
+      fields: toFieldErrors(fields)
+    }
+  });
+}
+
+// Catch-all for route handlers: upstream Twitter statuses pass through, everything else is a 500
+function sendServerError(res, err) {
+  const status = err.response?.status || 500;
+  return sendError(res, status, status === 429 ? 'Twitter API rate limit exceeded' : 'Server error');
+}
+
+const errorSchema = {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: {
+      type: 'object',
+      required: ['code', 'message', 'fields'],
+      properties: {
+        code: { type: 'string', enum: [...new Set(Object.values(ERROR_CODES)), 'VALIDATION_ERROR'] },
+        message: { type: 'string' },
+        fields: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { field: { type: 'string' }, message: { type: 'string' } }
+          }
+        }
+      }
+    }
+  }
+};
+
+module.exports = { ERROR_CODES, sendError, sendServerError, toFieldErrors, errorSchema };
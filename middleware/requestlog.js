@@ -0,0 +1,43 @@
+const { createLogger, runWithContext, newRequestId } = require('../services/logger');
+
+const log = createLogger('http');
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+// Route template rather than the URL, so IDs and usernames don't end up as separate routes
+function routeTemplate(req) {
+  return req.route ? req.baseUrl + req.route.path : 'unmatched';
+}
+
+// Assigns the correlation ID (an upstream X-Request-Id is kept when well-formed), runs the rest of
+// the request inside its context and writes the one summary line per request
+function requestLog(req, res, next) {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : newRequestId();
+  const startedAt = process.hrtime.bigint();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  runWithContext({ requestId }, () => {
+    let logged = false;
+    const summarize = () => {
+      if (logged) return;
+      logged = true;
+      const status = res.headersSent ? res.statusCode : 499;
+      const fields = {
+        method: req.method,
+        route: routeTemplate(req),
+        path: req.originalUrl.split('?')[0],
+        status,
+        durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+        actor: req.apiKey ? req.apiKey.name : undefined
+      };
+      const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+      log[level](`${req.method} ${fields.route} ${status}`, fields);
+    };
+    res.on('finish', summarize);
+    res.on('close', summarize);
+    next();
+  });
+}
+
+module.exports = { requestLog, routeTemplate };
@@ -0,0 +1,65 @@
+// Schema fragments shared by route validators (see middleware/validate.js)
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+const stringList = { type: 'array', items: nonEmptyString };
+const dateTime = { type: 'string', format: 'date-time' };
+const objectId = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+const solanaAddress = { type: 'string', pattern: '^[1-9A-HJ-NP-Za-km-z]{32,44}$' };
+const devId = { type: 'string', pattern: '^[a-zA-Z0-9_-]{8,64}$' };
+const twitterUsername = { type: 'string', pattern: '^[A-Za-z0-9_]{1,15}$' };
+
+function params(properties) {
+  return { type: 'object', required: Object.keys(properties), properties };
+}
+
+const projectParams = params({ project: nonEmptyString });
+
+function pagination(defaultLimit, maxLimit) {
+  return {
+    page: { type: 'integer', minimum: 1, default: 1 },
+    limit: { type: 'integer', minimum: 1, maximum: maxLimit, default: defaultLimit }
+  };
+}
+
+const matchRules = {
+  type: 'object',
+  properties: {
+    words: stringList,
+    cashtags: stringList,
+    hashtags: stringList,
+    phrases: stringList,
+    regexes: stringList,
+    exclude: stringList,
+    matchMention: { type: 'boolean' }
+  }
+};
+
+const projectFields = {
+  displayName: { type: 'string' },
+  keywords: stringList,
+  matchRules,
+  description: { type: 'string' },
+  // Empty strings clear the website or unlink the Twitter account
+  website: { type: 'string', pattern: '^(https?://\\S+)?$' },
+  twitterUsername: { type: 'string', pattern: '^[A-Za-z0-9_]{0,15}$' },
+  userId: { type: 'string' },
+  profile_image_url: { type: 'string' },
+  followers_count: { type: 'integer', minimum: 0 },
+  following_count: { type: 'integer', minimum: 0 },
+  createdAt: dateTime
+};
+
+module.exports = {
+  nonEmptyString,
+  stringList,
+  dateTime,
+  objectId,
+  solanaAddress,
+  devId,
+  twitterUsername,
+  params,
+  projectParams,
+  pagination,
+  matchRules,
+  projectFields
+};
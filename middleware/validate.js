@@ -0,0 +1,130 @@
+const { sendError } = require('./errors');
+
+// Request schemas are a small JSON Schema subset so the same objects can be published as
+// OpenAPI. validate() attaches its schema to the middleware for services/openapi.js to find.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  const actual = typeOf(value);
+  return types.includes(actual) || (actual === 'integer' && types.includes('number'));
+}
+
+function checkValue(value, schema, field, errors) {
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ field, message: `must be of type ${[].concat(schema.type).join(' or ')}` });
+    return;
+  }
+  if (value === null) return;
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: `must match ${schema.pattern}` });
+    }
+    if (schema.format === 'date-time' && isNaN(new Date(value).getTime())) {
+      errors.push({ field, message: 'must be a valid date' });
+    }
+    if (schema.format === 'uri' && !/^https?:\/\/[^\s$.?#].[^\s]*$/.test(value)) {
+      errors.push({ field, message: 'must be an http(s) URL' });
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ field, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be <= ${schema.maximum}` });
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `must contain at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => checkValue(item, schema.items, `${field}[${index}]`, errors));
+    }
+  }
+  if (typeOf(value) === 'object' && schema.properties) {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) errors.push({ field: `${field}.${name}`, message: 'is required' });
+    }
+    for (const [name, propertySchema] of Object.entries(schema.properties)) {
+      if (value[name] === undefined && propertySchema.default !== undefined) value[name] = propertySchema.default;
+      if (value[name] !== undefined) checkValue(value[name], propertySchema, `${field}.${name}`, errors);
+    }
+  }
+}
+
+// Query strings and path params arrive as strings; coerce them to the declared type first
+function coerce(value, schema) {
+  if (typeof value !== 'string') return value;
+  const types = [].concat(schema.type || 'string');
+  if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+function checkParameters(source, schema, location, errors) {
+  for (const name of schema.required || []) {
+    if (source[name] === undefined || source[name] === '') {
+      errors.push({ field: `${location}.${name}`, message: 'is required' });
+    }
+  }
+  for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+    if ((source[name] === undefined || source[name] === '') && propertySchema.default !== undefined) {
+      source[name] = String(propertySchema.default);
+    }
+    if (source[name] === undefined || source[name] === '') continue;
+    checkValue(coerce(source[name], propertySchema), propertySchema, `${location}.${name}`, errors);
+  }
+}
+
+// schema: { summary, params, query, body } where params and query are object schemas of
+// string-encoded values and body is any schema. req.query and req.params keep their raw strings;
+// missing values with a schema default get it, as a string there and as is in the body.
+function validate(schema) {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    if (schema.params) checkParameters(req.params, schema.params, 'params', errors);
+    if (schema.query) checkParameters(req.query, schema.query, 'query', errors);
+    if (schema.body) {
+      if (req.body === undefined || (schema.body.type === 'object' && typeOf(req.body) !== 'object')) {
+        errors.push({ field: 'body', message: 'must be a JSON object' });
+      } else {
+        checkValue(req.body, schema.body, 'body', errors);
+      }
+    }
+    if (errors.length) {
+      return sendError(res, 400, 'Request validation failed', { code: 'VALIDATION_ERROR', fields: errors });
+    }
+    next();
+  };
+  middleware.schema = schema;
+  return middleware;
+}
+
+module.exports = { validate };
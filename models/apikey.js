@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const apiKeySchema = new Schema({
+  name: { type: String, required: true },
+  keyHash: { type: String, required: true, unique: true },
+  prefix: { type: String, required: true },
+  role: { type: String, required: true, enum: ['admin', 'project-owner', 'read-only'] },
+  projectId: { type: Schema.Types.ObjectId, ref: 'Project', default: null },
+  lastUsedAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
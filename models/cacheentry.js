@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const cacheEntrySchema = new Schema({
+  cache: { type: String, required: true },
+  key: { type: String, required: true },
+  value: { type: Schema.Types.Mixed, default: null },
+  storedAt: { type: Date, required: true },
+  // Past this the entry can't even be served stale, so Mongo is left to drop it
+  expiresAt: { type: Date, required: true }
+});
+
+cacheEntrySchema.index({ cache: 1, key: 1 }, { unique: true });
+cacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('CacheEntry', cacheEntrySchema);
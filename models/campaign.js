@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const campaignSchema = new Schema({
+  project: { type: String, required: true },
+  name: { type: String, required: true },
+  description: { type: String, default: '' },
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true },
+  budget: { type: Number, required: true },
+  perUserCap: { type: Number, default: 0 },
+  requiredHashtags: { type: [String], default: [] },
+  spent: { type: Number, default: 0 },
+  // Amount granted by the most recent draw, written in the same atomic update as spent
+  lastDraw: { type: Number, default: 0 },
+  createdBy: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+campaignSchema.index({ project: 1, startsAt: 1, endsAt: 1 });
+
+module.exports = mongoose.model('Campaign', campaignSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const campaignContributionSchema = new Schema({
+  campaignId: { type: Schema.Types.ObjectId, ref: 'Campaign', required: true },
+  userId: { type: String, required: true },
+  username: { type: String, required: true },
+  SOL_ID: { type: String, default: '' },
+  blabz: { type: Number, default: 0 },
+  posts: { type: Number, default: 0 },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+campaignContributionSchema.index({ campaignId: 1, userId: 1 }, { unique: true });
+campaignContributionSchema.index({ campaignId: 1, blabz: -1 });
+
+module.exports = mongoose.model('CampaignContribution', campaignContributionSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// An unregistered X account found talking about a project through recent search
+const leadSchema = new Schema({
+  project: { type: String, required: true },
+  userId: { type: String, required: true },
+  username: { type: String, required: true },
+  name: { type: String, default: '' },
+  profile_image_url: { type: String, default: '' },
+  followers_count: { type: Number, default: 0 },
+  mentionCount: { type: Number, default: 0 },
+  tweetIds: { type: [String], default: [] },
+  firstSeenAt: { type: Date, default: Date.now },
+  lastSeenAt: { type: Date, default: Date.now }
+});
+
+leadSchema.index({ project: 1, userId: 1 }, { unique: true });
+leadSchema.index({ project: 1, mentionCount: -1 });
+
+module.exports = mongoose.model('Lead', leadSchema);
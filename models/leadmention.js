@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One per tweet counted towards a lead's mentionCount, so re-running discovery over the same tweets
+// never counts them twice; Lead.tweetIds only keeps the latest few
+const leadMentionSchema = new Schema({
+  project: { type: String, required: true },
+  userId: { type: String, required: true },
+  tweetId: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+leadMentionSchema.index({ project: 1, userId: 1, tweetId: 1 }, { unique: true });
+// Recent search only reaches back 7 days, so older mentions can't come round again
+leadMentionSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LeadMention', leadMentionSchema);
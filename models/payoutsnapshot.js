@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const payoutSnapshotSchema = new Schema({
+  project: { type: String, required: true, immutable: true },
+  periodStart: { type: Date, default: null, immutable: true },
+  periodEnd: { type: Date, required: true, immutable: true },
+  merkleRoot: { type: String, required: true, immutable: true },
+  tokenDecimals: { type: Number, required: true, immutable: true },
+  totalBlabz: { type: Number, required: true, immutable: true },
+  totalAmount: { type: String, required: true, immutable: true },
+  walletCount: { type: Number, required: true, immutable: true },
+  postCount: { type: Number, required: true, immutable: true },
+  allocations: {
+    type: [{
+      _id: false,
+      index: { type: Number, required: true },
+      SOL_ID: { type: String, required: true },
+      blabz: { type: Number, required: true },
+      // Base units (blabz * 10^tokenDecimals) as a decimal string, since u64 overflows a JS number
+      amount: { type: String, required: true },
+      postCount: { type: Number, required: true }
+    }],
+    immutable: true
+  },
+  createdBy: { type: String, default: '', immutable: true },
+  createdAt: { type: Date, default: Date.now, immutable: true }
+});
+
+payoutSnapshotSchema.index({ project: 1, createdAt: -1 });
+
+// A published root is what the claim program verifies against, so snapshots are write-once
+function rejectWrite(next) {
+  next(new Error('Payout snapshots are immutable'));
+}
+payoutSnapshotSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'],
+  rejectWrite
+);
+payoutSnapshotSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectWrite(next);
+  next();
+});
+
+module.exports = mongoose.model('PayoutSnapshot', payoutSnapshotSchema);
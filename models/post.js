@@ -11,14 +11,93 @@ const postSchema = new Schema({
   project: { type: [String], required: true },
   score: { type: Number, required: true },
   blabz: { type: Number, required: true },
+  scores: {
+    type: [{
+      _id: false,
+      project: { type: String, required: true },
+      score: { type: Number, required: true },
+      blabz: { type: Number, required: true },
+      scoringModel: { type: String, required: true },
+      scoringModelVersion: { type: Number, required: true }
+    }],
+    default: []
+  },
+  campaigns: {
+    type: [{
+      _id: false,
+      campaignId: { type: Schema.Types.ObjectId, ref: 'Campaign', required: true },
+      project: { type: String, required: true },
+      blabz: { type: Number, required: true }
+    }],
+    default: []
+  },
+  // One entry per project whose blabz for this post were frozen into a payout snapshot
+  payouts: {
+    type: [{
+      _id: false,
+      project: { type: String, required: true },
+      snapshotId: { type: Schema.Types.ObjectId, ref: 'PayoutSnapshot', required: true },
+      blabz: { type: Number, required: true },
+      paidAt: { type: Date, required: true }
+    }],
+    default: []
+  },
   likes: { type: Number, default: 0 },
   retweets: { type: Number, default: 0 },
   replies: { type: Number, default: 0 },
+  quotes: { type: Number, default: 0 },
   hashtags: { type: [String], default: [] },
   tweetUrl: { type: String, required: true },
   createdAt: { type: Date, required: true },
   tweetType: { type: String, required: true, enum: ['main', 'quote', 'replied_to'] },
+  source: { type: String, enum: ['timeline', 'search'], default: 'timeline' },
+  // Set on posts made of the author's own conversation: a thread of self-replies scored as one piece
+  // of content, postId being its earliest tweet and tweetIds every part, oldest first
+  thread: {
+    conversationId: { type: String, default: null },
+    tweetIds: { type: [String], default: undefined }
+  },
+  scoreHistory: {
+    type: [{
+      _id: false,
+      at: { type: Date, required: true },
+      reason: { type: String, enum: ['ingested', 'refreshed'], required: true },
+      score: { type: Number, required: true },
+      blabz: { type: Number, required: true },
+      likes: { type: Number, default: 0 },
+      retweets: { type: Number, default: 0 },
+      replies: { type: Number, default: 0 },
+      quotes: { type: Number, default: 0 }
+    }],
+    default: []
+  },
+  metricsRefreshedAt: { type: Date, default: null },
+  fingerprint: {
+    textHash: { type: String, default: '' },
+    simhash: { type: String, default: '' },
+    bands: { type: [String], default: [] }
+  },
+  duplicate: {
+    flagged: { type: Boolean, default: false },
+    clusterId: { type: String, default: null },
+    matchedPostId: { type: String, default: null },
+    distance: { type: Number, default: null },
+    action: { type: String, enum: ['flag', 'zero', null], default: null },
+    reviewStatus: { type: String, enum: ['pending', 'confirmed', 'dismissed', null], default: null },
+    reviewedBy: { type: String, default: null },
+    reviewedAt: { type: Date, default: null },
+    flaggedAt: { type: Date, default: null },
+    withheld: { type: Schema.Types.Mixed, default: null }
+  },
   updatedAt: { type: Date, default: Date.now }
 });
 
+postSchema.index({ project: 1, createdAt: -1 });
+postSchema.index({ 'fingerprint.textHash': 1 });
+postSchema.index({ 'payouts.snapshotId': 1 }, { sparse: true });
+postSchema.index({ 'fingerprint.bands': 1, createdAt: -1 });
+postSchema.index({ 'duplicate.clusterId': 1 }, { sparse: true });
+postSchema.index({ userId: 1, 'thread.conversationId': 1 });
+postSchema.index({ 'thread.tweetIds': 1 }, { sparse: true });
+
 module.exports = mongoose.model('Post', postSchema);
@@ -3,7 +3,21 @@ const Schema = mongoose.Schema;
 
 const processedPostSchema = new Schema({
   postId: { type: String, required: true, unique: true },
+  // Why ingestion stopped at this tweet; null on records written before reasons were kept
+  reason: { type: String, enum: ['retweet', 'short', 'mention-heavy', 'no-project-match', 'scored', null], default: null },
+  userId: { type: String, default: null },
+  username: { type: String, default: null },
+  projects: { type: [String], default: [] },
+  source: { type: String, enum: ['timeline', 'search'], default: 'timeline' },
+  // Skipped tweets keep their conversation and tweet so thread parts fetched later can still join them
+  conversationId: { type: String, default: null },
+  tweet: { type: Schema.Types.Mixed, default: null },
   updatedAt: { type: Date, default: Date.now }
 });
 
+processedPostSchema.index({ userId: 1, updatedAt: -1 });
+processedPostSchema.index({ reason: 1, updatedAt: -1 });
+processedPostSchema.index({ projects: 1, updatedAt: -1 });
+processedPostSchema.index({ userId: 1, conversationId: 1 });
+
 module.exports = mongoose.model('ProcessedPost', processedPostSchema);
@@ -5,6 +5,19 @@ const projectSchema = new Schema({
   name: { type: String, required: true, unique: true },
   displayName: { type: String, default: '' },
   keywords: { type: [String], default: [] },
+  matchRules: {
+    words: { type: [String], default: [] },
+    cashtags: { type: [String], default: [] },
+    hashtags: { type: [String], default: [] },
+    phrases: { type: [String], default: [] },
+    regexes: { type: [String], default: [] },
+    exclude: { type: [String], default: [] },
+    matchMention: { type: Boolean, default: false }
+  },
+  scoringModel: {
+    name: { type: String, default: 'default' },
+    version: { type: Number, default: null }
+  },
   description: { type: String, default: '' },
   website: { type: String, default: '' },
   twitterUsername: { type: String, default: '' },
@@ -12,6 +25,16 @@ const projectSchema = new Schema({
   profile_image_url: { type: String, default: '' },
   followers_count: { type: Number, default: 0 },
   following_count: { type: Number, default: 0 },
+  discovery: {
+    sinceId: { type: String, default: null },
+    untilId: { type: String, default: null },
+    pendingSinceId: { type: String, default: null },
+    lastRunAt: { type: Date, default: null },
+    lastStatus: { type: String, default: '' }
+  },
+  // Soft-deleted projects keep their posts and payouts but drop out of ingestion and listings
+  deletedAt: { type: Date, default: null },
+  deletedBy: { type: String, default: null },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
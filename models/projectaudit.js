@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const projectAuditSchema = new Schema({
+  projectId: { type: Schema.Types.ObjectId, ref: 'Project', required: true },
+  project: { type: String, required: true },
+  action: { type: String, required: true, enum: ['create', 'update', 'delete', 'restore'] },
+  actor: {
+    name: { type: String, required: true },
+    role: { type: String, default: '' },
+    apiKeyId: { type: Schema.Types.ObjectId, ref: 'ApiKey', default: null }
+  },
+  changes: {
+    type: [{
+      _id: false,
+      field: { type: String, required: true },
+      from: { type: Schema.Types.Mixed, default: null },
+      to: { type: Schema.Types.Mixed, default: null }
+    }],
+    default: []
+  },
+  at: { type: Date, default: Date.now }
+});
+
+projectAuditSchema.index({ projectId: 1, at: -1 });
+
+module.exports = mongoose.model('ProjectAudit', projectAuditSchema);
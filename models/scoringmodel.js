@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Versions are immutable: changing a model means saving a new version under the same name
+const scoringModelSchema = new Schema({
+  name: { type: String, required: true },
+  version: { type: Number, required: true },
+  description: { type: String, default: '' },
+  weights: {
+    base: { type: Number, default: 0.25 },
+    length: { type: Number, default: 0.25 },
+    engagement: { type: Number, default: 0.25 }
+  },
+  engagement: {
+    like: { type: Number, default: 1 },
+    retweet: { type: Number, default: 2 },
+    quote: { type: Number, default: 3 }
+  },
+  length: {
+    offset: { type: Number, default: 50 },
+    range: { type: Number, default: 200 }
+  },
+  caps: {
+    length: { type: Number, default: 1 },
+    engagement: { type: Number, default: 1 },
+    blabzPerPost: { type: Number, default: 0 }
+  },
+  pointsPerBlabz: { type: Number, default: 300 },
+  createdBy: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+scoringModelSchema.index({ name: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('ScoringModel', scoringModelSchema);
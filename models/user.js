@@ -10,6 +10,20 @@ const userSchema = new Schema({
   profile_image_url: { type: String, default: '' },
   followers_count: { type: Number, default: 0 },
   following_count: { type: Number, default: 0 },
+  timelineCursor: {
+    sinceId: { type: String, default: null },
+    // Set while a fetch cut short by the page budget is being continued; see nextCursor
+    untilId: { type: String, default: null },
+    pendingSinceId: { type: String, default: null },
+    lastFetchedAt: { type: Date, default: null }
+  },
+  ingestion: {
+    lastRunAt: { type: Date, default: null },
+    lastSuccessAt: { type: Date, default: null },
+    lastStatus: { type: String, default: '' },
+    lastError: { type: String, default: '' },
+    lastPostCount: { type: Number, default: 0 }
+  },
   updatedAt: { type: Date, default: Date.now }
 });
 
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const walletChallengeSchema = new Schema({
+  nonce: { type: String, required: true, unique: true },
+  username: { type: String, required: true },
+  SOL_ID: { type: String, required: true },
+  message: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Mongo drops challenges once they expire
+walletChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WalletChallenge', walletChallengeSchema);
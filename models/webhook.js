@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const webhookSchema = new Schema({
+  project: { type: String, required: true },
+  url: { type: String, required: true },
+  secret: { type: String, required: true },
+  events: { type: [String], required: true, enum: ['post.scored', 'post.rescored', 'post.flagged'] },
+  active: { type: Boolean, default: true },
+  createdBy: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+webhookSchema.index({ project: 1, active: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const webhookDeliverySchema = new Schema({
+  webhookId: { type: Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  project: { type: String, required: true },
+  event: { type: String, required: true },
+  payload: { type: Schema.Types.Mixed, required: true },
+  status: { type: String, enum: ['pending', 'succeeded', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastAttemptAt: { type: Date, default: null },
+  responseStatus: { type: Number, default: null },
+  error: { type: String, default: '' },
+  deliveredAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+// Delivery log is kept for 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,140 @@
+const express = require('express');
+const Post = require('../models/post');
+const Project = require('../models/project');
+const { sendError, sendServerError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const { dateTime, projectParams } = require('../middleware/schemas');
+const { createLogger } = require('../services/logger');
+const { activeProjects } = require('../services/projects');
+
+const log = createLogger('api');
+
+const router = express.Router();
+
+const INTERVALS = {
+  hour: { ms: 60 * 60 * 1000, format: '%Y-%m-%dT%H:00:00.000Z', defaultSpan: 24, maxBuckets: 24 * 31 },
+  day: { ms: 24 * 60 * 60 * 1000, format: '%Y-%m-%dT00:00:00.000Z', defaultSpan: 7, maxBuckets: 366 }
+};
+
+function truncate(date, interval) {
+  return new Date(Math.floor(date.getTime() / INTERVALS[interval].ms) * INTERVALS[interval].ms);
+}
+
+function emptyMetrics() {
+  return { posts: 0, uniqueAuthors: 0, likes: 0, retweets: 0, replies: 0, averageScore: 0, blabz: 0 };
+}
+
+function toMetrics(row) {
+  if (!row) return emptyMetrics();
+  return {
+    posts: row.posts,
+    uniqueAuthors: row.authors.length,
+    likes: row.likes,
+    retweets: row.retweets,
+    replies: row.replies,
+    averageScore: parseFloat((row.totalScore / row.posts).toFixed(2)),
+    blabz: parseFloat(row.blabz.toFixed(4))
+  };
+}
+
+// Score and blabz are this project's entry in Post.scores, same as the leaderboard
+async function aggregateSeries(projectName, interval, start, end) {
+  const metrics = {
+    posts: { $sum: 1 },
+    authors: { $addToSet: '$userId' },
+    likes: { $sum: '$likes' },
+    retweets: { $sum: '$retweets' },
+    replies: { $sum: '$replies' },
+    totalScore: { $sum: '$projectPoints' },
+    blabz: { $sum: '$projectBlabz' }
+  };
+  const [result] = await Post.aggregate([
+    { $match: { project: projectName, createdAt: { $gte: start, $lt: end } } },
+    {
+      $addFields: {
+        projectScore: {
+          $arrayElemAt: [{ $filter: { input: { $ifNull: ['$scores', []] }, cond: { $eq: ['$$this.project', projectName] } } }, 0]
+        }
+      }
+    },
+    {
+      $addFields: {
+        projectBlabz: { $ifNull: ['$projectScore.blabz', { $divide: ['$blabz', { $max: [{ $size: '$project' }, 1] }] }] },
+        projectPoints: { $ifNull: ['$projectScore.score', '$score'] }
+      }
+    },
+    {
+      $facet: {
+        buckets: [
+          { $group: { _id: { $dateToString: { date: '$createdAt', format: INTERVALS[interval].format, timezone: 'UTC' } }, ...metrics } }
+        ],
+        totals: [{ $group: { _id: null, ...metrics } }]
+      }
+    }
+  ]);
+
+  const rowsByBucket = new Map(result.buckets.map(row => [row._id, row]));
+  const buckets = [];
+  // Every bucket in the range is returned, including empty ones, so charts need no gap filling
+  for (let at = truncate(start, interval); at < end; at = new Date(at.getTime() + INTERVALS[interval].ms)) {
+    buckets.push({ start: at, ...toMetrics(rowsByBucket.get(at.toISOString())) });
+  }
+  return { buckets, totals: toMetrics(result.totals[0]) };
+}
+
+function percentChange(current, previous) {
+  if (!previous) return current ? null : 0;
+  return parseFloat((((current - previous) / previous) * 100).toFixed(2));
+}
+
+router.get('/analytics/:project/timeseries', validate({
+  summary: 'Daily or hourly post, author, engagement, score and blabz buckets for a project',
+  params: projectParams,
+  query: {
+    type: 'object',
+    properties: {
+      interval: { type: 'string', enum: Object.keys(INTERVALS), default: 'day' },
+      from: dateTime,
+      to: dateTime,
+      compare: { type: 'boolean', default: false }
+    }
+  }
+}), async (req, res) => {
+  try {
+    const projectName = req.params.project.toUpperCase();
+    const { interval, from, to, compare } = req.query;
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - INTERVALS[interval].defaultSpan * INTERVALS[interval].ms);
+    if (start >= end) {
+      return sendError(res, 400, 'from must be before to');
+    }
+    const span = end.getTime() - start.getTime();
+    if (span / INTERVALS[interval].ms > INTERVALS[interval].maxBuckets) {
+      return sendError(res, 400, `Range too large for ${interval} buckets (max ${INTERVALS[interval].maxBuckets})`);
+    }
+
+    if (!(await Project.exists(activeProjects({ name: projectName })))) {
+      return sendError(res, 404, 'Project not found');
+    }
+
+    log.debug(`Building ${interval} timeseries for ${projectName}`, { project: projectName, interval, start, end });
+    const current = await aggregateSeries(projectName, interval, start, end);
+    const response = { project: projectName, interval, from: start, to: end, ...current };
+
+    if (compare === 'true') {
+      const previousStart = new Date(start.getTime() - span);
+      const previous = await aggregateSeries(projectName, interval, previousStart, start);
+      response.previous = { from: previousStart, to: start, ...previous };
+      response.change = Object.fromEntries(
+        Object.keys(current.totals).map(key => [key, percentChange(current.totals[key], previous.totals[key])])
+      );
+    }
+
+    res.json(response);
+  } catch (err) {
+    log.error('GET /analytics/:project/timeseries failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+module.exports = router;
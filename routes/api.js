@@ -1,124 +1,94 @@
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
 const Post = require('../models/post');
-const ProcessedPost = require('../models/processedpost');
 const Project = require('../models/project');
 const User = require('../models/user');
+const { getRateLimitUntil, getRateLimitBuckets, getTokenPoolState } = require('../services/twitter');
+const { saveTwitterProfile, ingestTimeline } = require('../services/ingest');
+const { requireRole } = require('../middleware/auth');
+const { issueChallenge, redeemChallenge } = require('../services/wallet');
+const { validateMatchRules, explainMatches } = require('../services/matcher');
+const { toPostPayload, toThreadPayload } = require('../services/posts');
+const { activeProjects } = require('../services/projects');
+const { getTwitterProfile, userProfileFields } = require('../services/profiles');
+const { SKIP_REASONS, buildReprocessFilter, reprocess } = require('../services/reprocess');
+const { sendError, sendServerError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const {
+  nonEmptyString,
+  dateTime,
+  solanaAddress,
+  devId,
+  twitterUsername,
+  params,
+  projectParams,
+  matchRules: matchRulesSchema
+} = require('../middleware/schemas');
+const { createLogger } = require('../services/logger');
+
+const log = createLogger('api');
 
 const router = express.Router();
 
-if (!process.env.X_BEARER_TOKEN || typeof process.env.X_BEARER_TOKEN !== 'string') {
-  throw new Error('[API] X_BEARER_TOKEN is not set or invalid');
-}
-console.log('[API] Twitter API Bearer Token configured');
-
 router.use(cors());
 
-// Global rate limit tracking
-let rateLimitUntil = null;
-
-function isValidSolanaAddress(address) {
-  return /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address);
-}
-
-function isValidDevId(devId) {
-  return /^[a-zA-Z0-9_-]{8,64}$/.test(devId);
-}
-
-function isValidDate(dateString) {
-  return !isNaN(new Date(dateString).getTime());
-}
-
-function extractHashtags(text) {
-  const hashtags = [];
-  const regex = /#(\w+)/g;
-  let match;
-  while ((match = regex.exec(text)) !== null) {
-    hashtags.push(match[1]);
+router.post('/users/challenge', validate({
+  summary: 'Issue a wallet ownership challenge to sign before registering',
+  body: {
+    type: 'object',
+    required: ['username', 'SOL_ID'],
+    properties: { username: twitterUsername, SOL_ID: solanaAddress }
   }
-  return hashtags;
-}
-
-function extractMentions(text) {
-  const regex = /@(\w+)/g;
-  let mentionChars = 0;
-  let match;
-  while ((match = regex.exec(text)) !== null) {
-    mentionChars += match[0].length;
+}), async (req, res) => {
+  try {
+    const { username, SOL_ID } = req.body;
+    const challenge = await issueChallenge(username, SOL_ID);
+    res.json({
+      message: challenge.message,
+      nonce: challenge.nonce,
+      expiresAt: challenge.expiresAt
+    });
+  } catch (err) {
+    log.error('POST /users/challenge failed', { err });
+    sendServerError(res, err);
   }
-  return mentionChars;
-}
-
-function calculateQualityScore(tweet, followersCount) {
-  const lengthScore = Math.min(Math.max((tweet.text.length - 50) / 200, 0), 1);
-  const { like_count, retweet_count, quote_count } = tweet.public_metrics || {};
-  const engagementRaw = like_count + 2 * retweet_count + 3 * quote_count;
-  const engagementScore = Math.min(engagementRaw / Math.max(1, followersCount), 1);
-  const combinedScore = 0.5 * 0.5 + 0.25 * lengthScore + 0.25 * engagementScore;
-  return Math.round(combinedScore * 99) + 1;
-}
-
-function calculateBlabzPerProject(qualityScore) {
-  return (qualityScore / 300).toFixed(4);
-}
+});
 
-async function fetchTwitterUser(username) {
-  if (rateLimitUntil && rateLimitUntil > new Date()) {
-    throw { response: { status: 429 } };
-  }
-  console.log(`[API] Attempting Twitter API call for username: ${username}`);
-  const response = await axios.get(`https://api.twitter.com/2/users/by/username/${username}`, {
-    headers: {
-      Authorization: `Bearer ${process.env.X_BEARER_TOKEN}`,
-      'Content-Type': 'application/json'
-    },
-    params: {
-      'user.fields': 'id,name,username,profile_image_url,public_metrics'
-    }
-  }).catch(err => {
-    if (err.response?.status === 429) {
-      rateLimitUntil = new Date(Date.now() + 15 * 60 * 1000);
-      console.log(`[API] Rate limit hit, pausing until ${rateLimitUntil}`);
+router.post('/users', validate({
+  summary: 'Register a user with a signed wallet challenge from POST /users/challenge',
+  body: {
+    type: 'object',
+    required: ['username', 'SOL_ID', 'DEV_ID', 'nonce', 'signature'],
+    properties: {
+      username: twitterUsername,
+      SOL_ID: solanaAddress,
+      DEV_ID: devId,
+      nonce: nonEmptyString,
+      signature: nonEmptyString
     }
-    throw err;
-  });
-  console.log('[API] Twitter API response:', response.data);
-  return response.data.data;
-}
-
-router.post('/users', async (req, res) => {
+  }
+}), async (req, res) => {
   try {
-    const { username, SOL_ID, DEV_ID } = req.body;
-    if (!username || !SOL_ID || !DEV_ID) {
-      return res.status(400).json({ error: 'username, SOL_ID, and DEV_ID required' });
-    }
-    if (!isValidSolanaAddress(SOL_ID)) {
-      return res.status(400).json({ error: 'Invalid SOL_ID' });
-    }
-    if (!isValidDevId(DEV_ID)) {
-      return res.status(400).json({ error: 'Invalid DEV_ID' });
-    }
+    const { username, SOL_ID, DEV_ID, nonce, signature } = req.body;
 
     const existingUser = await User.findOne({
       $or: [{ SOL_ID, username: { $ne: username } }, { DEV_ID, username: { $ne: username } }]
     });
     if (existingUser) {
-      return res.status(400).json({ error: 'SOL_ID or DEV_ID already used' });
+      return sendError(res, 400, 'SOL_ID or DEV_ID already used');
     }
 
-    console.log(`[API] Fetching Twitter user: ${username}`);
     let twitterUser;
     try {
-      twitterUser = await fetchTwitterUser(username);
+      ({ value: twitterUser } = await getTwitterProfile(username));
       if (!twitterUser) {
-        return res.status(404).json({ error: 'Twitter user not found' });
+        return sendError(res, 404, 'Twitter user not found');
       }
     } catch (err) {
       if (err.response?.status === 429) {
         const cachedUser = await User.findOne({ username }).lean();
         if (cachedUser) {
-          console.log('[API] Using cached user data');
+          log.warn('Rate limited, serving cached user', { username });
           return res.json({
             message: `User ${username} retrieved from cache`,
             user: {
@@ -134,67 +104,45 @@ router.post('/users', async (req, res) => {
             warning: 'Using cached data due to Twitter API rate limit'
           });
         }
-        return res.status(503).json({ 
-          error: 'Service temporarily unavailable', 
-          details: 'Twitter API rate limit exceeded, no cached data available' 
-        });
+        return sendError(res, 503, 'Service temporarily unavailable: Twitter API rate limit exceeded, no cached data available');
       }
       throw err;
     }
 
-    const userData = {
-      SOL_ID,
-      DEV_ID,
-      userId: twitterUser.id,
-      username: twitterUser.username,
-      name: twitterUser.name || '',
-      profile_image_url: twitterUser.profile_image_url || '',
-      followers_count: twitterUser.public_metrics?.followers_count || 0,
-      following_count: twitterUser.public_metrics?.following_count || 0,
-      updatedAt: new Date()
-    };
+    const challenge = await redeemChallenge({ nonce, username, SOL_ID, signature });
+    if (!challenge) {
+      return sendError(res, 401, 'Wallet ownership could not be verified: challenge is invalid, expired, already used or the signature does not match SOL_ID');
+    }
+    log.debug('Wallet ownership verified', { username });
+
+    const userData = { SOL_ID, DEV_ID, ...userProfileFields(twitterUser), updatedAt: new Date() };
 
     const user = await User.findOneAndUpdate(
       { username },
       { $set: userData },
       { upsert: true, new: true }
     );
-    console.log(`[MongoDB] User ${username} saved:`, user);
+    log.info('User registered', { username, userId: user.userId });
     res.json({ message: `User ${username} saved`, user });
   } catch (err) {
-    console.error('[API] POST /users error:', err.response?.status, err.message, err.stack);
-    res.status(err.response?.status || 500).json({ error: 'Server error', details: err.message });
+    log.error('POST /users failed', { err });
+    sendServerError(res, err);
   }
 });
 
-router.get('/user-details/:username', async (req, res) => {
+router.get('/user-details/:username', validate({
+  summary: 'Get a registered user, refreshing the Twitter profile when stale',
+  params: params({ username: twitterUsername })
+}), async (req, res) => {
   try {
-    console.log(`[API] Fetching user: ${req.params.username}`);
     const cachedUser = await User.findOne({ username: req.params.username }).lean();
-    if (cachedUser && cachedUser.updatedAt > new Date(Date.now() - 15 * 60 * 1000)) {
-      console.log('[API] Using fresh cached user data');
-      return res.json({
-        SOL_ID: cachedUser.SOL_ID || '',
-        DEV_ID: cachedUser.DEV_ID || '',
-        userId: cachedUser.userId,
-        username: cachedUser.username,
-        name: cachedUser.name,
-        profile_image_url: cachedUser.profile_image_url,
-        followers_count: cachedUser.followers_count,
-        following_count: cachedUser.following_count
-      });
-    }
-
-    let twitterUser;
+    let profile;
     try {
-      twitterUser = await fetchTwitterUser(req.params.username);
-      if (!twitterUser) {
-        return res.status(404).json({ error: 'User not found' });
-      }
+      profile = await getTwitterProfile(req.params.username);
     } catch (err) {
       if (err.response?.status === 429) {
         if (cachedUser) {
-          console.log('[API] Using cached user data');
+          log.warn('Rate limited, serving cached user', { username: req.params.username });
           return res.json({
             SOL_ID: cachedUser.SOL_ID || '',
             DEV_ID: cachedUser.DEV_ID || '',
@@ -207,839 +155,383 @@ router.get('/user-details/:username', async (req, res) => {
             warning: 'Using cached data due to Twitter API rate limit'
           });
         }
-        return res.status(503).json({ 
-          error: 'Service temporarily unavailable', 
-          details: 'Twitter API rate limit exceeded, no cached data available' 
-        });
+        return sendError(res, 503, 'Service temporarily unavailable: Twitter API rate limit exceeded, no cached data available');
       }
       throw err;
     }
+    const twitterUser = profile.value;
+    if (!twitterUser) {
+      return sendError(res, 404, 'User not found');
+    }
 
-    const userData = {
-      userId: twitterUser.id,
-      username: twitterUser.username,
-      name: twitterUser.name || '',
-      profile_image_url: twitterUser.profile_image_url || '',
-      followers_count: twitterUser.public_metrics?.followers_count || 0,
-      following_count: twitterUser.public_metrics?.following_count || 0,
-      updatedAt: new Date()
-    };
-    const userDoc = await User.findOneAndUpdate(
-      { userId: twitterUser.id },
-      { $set: userData },
-      { upsert: true, new: true }
-    ).lean();
-    console.log('[API] MongoDB userDoc updated:', userDoc);
-
+    // Known users are kept current by the profile cache; first lookups of an account create its document
+    const userDoc = cachedUser || await saveTwitterProfile(twitterUser);
     res.json({
       SOL_ID: userDoc.SOL_ID || '',
       DEV_ID: userDoc.DEV_ID || '',
-      userId: twitterUser.id,
-      username: twitterUser.username,
-      name: twitterUser.name,
-      profile_image_url: twitterUser.profile_image_url,
-      followers_count: twitterUser.public_metrics.followers_count,
-      following_count: twitterUser.public_metrics.following_count
+      ...userProfileFields(twitterUser),
+      ...(profile.status === 'fallback' && { warning: 'Using cached data due to Twitter API rate limit' })
     });
   } catch (err) {
-    console.error('[API] GET /user-details error:', err.response?.status, err.message, err.stack);
-    res.status(err.response?.status || 500).json({ error: 'Server error', details: err.message });
+    log.error('GET /user-details failed', { err });
+    sendServerError(res, err);
   }
 });
 
-router.get('/rate-limit-status', async (req, res) => {
+router.get('/rate-limit-status', validate({
+  summary: 'Current Twitter rate limit backoff per endpoint and per bearer token'
+}), async (req, res) => {
   try {
-    console.log('[API] Checking Twitter API rate limit status');
-    if (rateLimitUntil && rateLimitUntil > new Date()) {
-      return res.json({ 
-        message: 'Rate limit active', 
-        rateLimit: {
-          remaining: 0,
-          reset: rateLimitUntil
-        }
-      });
-    }
-
-    let response;
-    try {
-      response = await axios.get('https://api.twitter.com/2/users/by', {
-        headers: {
-          Authorization: `Bearer ${process.env.X_BEARER_TOKEN}`,
-          'Content-Type': 'application/json'
-        },
-        params: {
-          usernames: 'test',
-          'user.fields': 'id'
-        }
-      });
-    } catch (err) {
-      if (err.response?.status === 429) {
-        rateLimitUntil = new Date(Date.now() + 15 * 60 * 1000);
-        console.log(`[API] Rate limit hit, pausing until ${rateLimitUntil}`);
-        return res.json({ 
-          message: 'Rate limit active', 
-          rateLimit: {
-            remaining: 0,
-            reset: rateLimitUntil
-          }
-        });
-      }
-      throw err;
-    }
-
-    console.log('[API] Rate limit check response:', response.headers);
+    const buckets = getRateLimitBuckets();
+    const limitedUntil = getRateLimitUntil();
     res.json({ 
-      message: 'Rate limit check', 
+      message: limitedUntil ? 'Rate limit active' : 'Rate limit check', 
       rateLimit: {
-        limit: response.headers['x-rate-limit-limit'],
-        remaining: response.headers['x-rate-limit-remaining'],
-        reset: new Date(parseInt(response.headers['x-rate-limit-reset']) * 1000)
-      }
+        active: Boolean(limitedUntil),
+        reset: limitedUntil
+      },
+      buckets,
+      tokens: getTokenPoolState()
     });
   } catch (err) {
-    console.error('[API] Rate limit check error:', err.response?.status, err.message, err.stack);
-    res.status(err.response?.status || 500).json({ 
-      error: 'Rate limit check failed', 
-      details: err.message 
-    });
+    log.error('Rate limit check failed', { err });
+    sendError(res, 500, 'Rate limit check failed');
   }
 });
 
-router.post('/projects', async (req, res) => {
-  try {
-    const { name, keywords, description, twitterUsername, userId, profile_image_url, displayName, followers_count, following_count } = req.body;
-    if (!name) {
-      return res.status(400).json({ error: 'Name required' });
-    }
-    const projectData = {
-      name: name.toUpperCase(),
-      displayName: displayName || '',
-      keywords: keywords || [],
-      description: description || '',
-      twitterUsername: twitterUsername || '',
-      userId: userId || '',
-      profile_image_url: profile_image_url || '',
-      followers_count: followers_count || 0,
-      following_count: following_count || 0,
-      updatedAt: new Date()
-    };
-    const project = await Project.findOneAndUpdate(
-      { name: name.toUpperCase() },
-      { $set: projectData },
-      { upsert: true, new: true }
-    );
-    console.log(`[MongoDB] Project ${name} saved:`, project);
-    res.json({ message: `Project ${name} added`, project });
-  } catch (err) {
-    console.error('[API] POST /projects error:', err.message, err.stack);
-    res.status(400).json({ error: 'Server error', details: err.message });
+router.post('/match-preview', requireRole('admin', 'project-owner'), validate({
+  summary: 'Explain which projects a text matches, optionally against unsaved matchRules',
+  body: {
+    type: 'object',
+    required: ['text'],
+    properties: { text: nonEmptyString, project: nonEmptyString, matchRules: matchRulesSchema }
   }
-});
-
-router.put('/project/:project', async (req, res) => {
+}), async (req, res) => {
   try {
-    const { keywords, description, twitterUsername, userId, profile_image_url, displayName, followers_count, following_count } = req.body;
-    const projectData = {
-      name: req.params.project.toUpperCase(),
-      displayName: displayName || '',
-      keywords: keywords || [],
-      description: description || '',
-      twitterUsername: twitterUsername || '',
-      userId: userId || '',
-      profile_image_url: profile_image_url || '',
-      followers_count: followers_count || 0,
-      following_count: following_count || 0,
-      updatedAt: new Date()
-    };
-    const project = await Project.findOneAndUpdate(
-      { name: req.params.project.toUpperCase() },
-      { $set: projectData },
-      { new: true }
-    );
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-    console.log(`[MongoDB] Project ${req.params.project} updated:`, project);
-    res.json({ message: `Project ${req.params.project} updated`, project });
-  } catch (err) {
-    console.error('[API] PUT /project error:', err.message, err.stack);
-    res.status(500).json({ error: 'Server error', details: err.message });
-  }
-});
-
-router.post('/projects/:twitterUsername', async (req, res) => {
-  try {
-    const { twitterUsername } = req.params;
-    const { name, keywords, description, website, createdAt } = req.body;
-
-    // Validate required fields
-    if (!name || !twitterUsername) {
-      return res.status(400).json({ error: 'name and twitterUsername required' });
-    }
-
-    // Validate keywords
-    if (keywords && (!Array.isArray(keywords) || keywords.some(k => typeof k !== 'string' || k.trim() === ''))) {
-      return res.status(400).json({ error: 'keywords must be an array of non-empty strings' });
-    }
-
-    // Validate website
-    if (website && !/^https?:\/\/[^\s$.?#].[^\s]*$/.test(website)) {
-      return res.status(400).json({ error: 'Invalid website URL' });
-    }
-
-    // Validate createdAt
-    if (createdAt && !isValidDate(createdAt)) {
-      return res.status(400).json({ error: 'Invalid createdAt date' });
-    }
-
-    // Check for name uniqueness
-    const existingProjectWithName = await Project.findOne({ 
-      name: name.toUpperCase(), 
-      twitterUsername: { $ne: twitterUsername } 
-    });
-    if (existingProjectWithName) {
-      return res.status(400).json({ 
-        error: `Project name ${name} is already taken by Twitter username ${existingProjectWithName.twitterUsername}`,
-        details: `Please choose a unique project name`
-      });
-    }
-
-    console.log(`[API] Input for twitterUsername: ${twitterUsername}`, { name, keywords, description, website, createdAt });
-
-    // Fetch Twitter user data
-    let twitterUser;
-    try {
-      twitterUser = await fetchTwitterUser(twitterUsername);
-      if (!twitterUser) {
-        return res.status(404).json({ error: 'Twitter user not found' });
-      }
-    } catch (err) {
-      if (err.response?.status === 429) {
-        const cachedProject = await Project.findOne({ twitterUsername }).lean();
-        if (cachedProject) {
-          console.log('[API] Using cached project data due to rate limit');
-          return res.json({
-            message: `Project ${name} retrieved from cache`,
-            project: {
-              _id: cachedProject._id,
-              name: cachedProject.name,
-              displayName: cachedProject.displayName,
-              createdAt: cachedProject.createdAt,
-              description: cachedProject.description || '',
-              keywords: cachedProject.keywords || [],
-              website: cachedProject.website || '',
-              twitterUsername: cachedProject.twitterUsername,
-              userId: cachedProject.userId,
-              profile_image_url: cachedProject.profile_image_url,
-              followers_count: cachedProject.followers_count,
-              following_count: cachedProject.following_count,
-              updatedAt: cachedProject.updatedAt
-            },
-            warning: 'Using cached data due to Twitter API rate limit'
-          });
-        }
-        return res.status(503).json({ 
-          error: 'Service temporarily unavailable', 
-          details: 'Twitter API rate limit exceeded, no cached data available' 
+    const { text, project, matchRules } = req.body;
+
+    let projects;
+    if (matchRules !== undefined) {
+      // Preview unsaved rules against a single project, e.g. while editing it
+      if (!project) {
+        return sendError(res, 400, 'project required when previewing matchRules', {
+          code: 'VALIDATION_ERROR',
+          fields: [{ field: 'body.project', message: 'is required when matchRules is given' }]
         });
       }
-      throw err;
+      const rules = validateMatchRules(matchRules);
+      if (rules.errors.length) {
+        return sendError(res, 400, 'Invalid matchRules', { code: 'VALIDATION_ERROR', fields: rules.errors });
+      }
+      const dbProject = await Project.findOne(activeProjects({ name: project.toUpperCase() })).lean();
+      projects = [{
+        name: project.toUpperCase(),
+        keywords: dbProject?.keywords || [],
+        twitterUsername: dbProject?.twitterUsername || '',
+        matchRules: rules.rules
+      }];
+    } else {
+      projects = await Project.find(activeProjects(project ? { name: project.toUpperCase() } : {})).lean();
+      if (!projects.length) {
+        return sendError(res, 404, project ? 'Project not found' : 'No projects configured');
+      }
     }
 
-    // Fetch existing project
-    const existingProject = await Project.findOne({ twitterUsername }).lean();
-    console.log(`[API] Existing project for ${twitterUsername}:`, existingProject);
-
-    // Build update object with only provided fields
-    const projectData = {
-      name: name.toUpperCase(),
-      displayName: twitterUser.name || (existingProject ? existingProject.displayName : ''),
-      twitterUsername: twitterUser.username,
-      userId: twitterUser.id,
-      profile_image_url: twitterUser.profile_image_url || (existingProject ? existingProject.profile_image_url : ''),
-      followers_count: twitterUser.public_metrics?.followers_count || (existingProject ? existingProject.followers_count : 0),
-      following_count: twitterUser.public_metrics?.following_count || (existingProject ? existingProject.following_count : 0),
-      updatedAt: new Date()
-    };
-
-    // Only update fields that were provided in the request
-    if (keywords !== undefined) projectData.keywords = keywords;
-    else if (existingProject) projectData.keywords = existingProject.keywords;
-    else projectData.keywords = [];
-
-    if (description !== undefined) projectData.description = description;
-    else if (existingProject) projectData.description = existingProject.description;
-    else projectData.description = '';
-
-    if (website !== undefined) projectData.website = website;
-    else if (existingProject) projectData.website = existingProject.website;
-    else projectData.website = '';
-
-    if (createdAt !== undefined) projectData.createdAt = new Date(createdAt);
-    else if (existingProject) projectData.createdAt = existingProject.createdAt;
-    else projectData.createdAt = new Date();
-
-    console.log(`[API] Updating project for ${twitterUsername} with data:`, projectData);
-
-    const project = await Project.findOneAndUpdate(
-      { twitterUsername },
-      { $set: projectData },
-      { upsert: true, new: true }
-    );
-    console.log(`[MongoDB] Project ${name} saved/updated:`, project);
-
+    const results = explainMatches(text, projects);
     res.json({
-      message: `Project ${name} saved/updated`,
-      project: {
-        _id: project._id,
-        name: project.name,
-        displayName: project.displayName,
-        createdAt: project.createdAt,
-        description: project.description,
-        keywords: project.keywords,
-        website: project.website,
-        twitterUsername: project.twitterUsername,
-        userId: project.userId,
-        profile_image_url: project.profile_image_url,
-        followers_count: project.followers_count,
-        following_count: project.following_count,
-        updatedAt: project.updatedAt
-      }
+      text,
+      matchedProjects: results.filter(result => result.matched).map(result => result.project),
+      results
     });
   } catch (err) {
-    console.error('[API] POST /projects/:twitterUsername error:', err.response?.status, err.message, err.stack);
-    if (err.name === 'MongoServerError' && err.code === 11000) {
-      return res.status(400).json({ 
-        error: `Project name ${name} is already taken by another Twitter username`,
-        details: err.message
-      });
-    }
-    res.status(err.response?.status || 500).json({ error: 'Server error', details: err.message });
+    log.error('POST /match-preview failed', { err });
+    sendServerError(res, err);
   }
 });
 
-router.get('/posts/:username', async (req, res) => {
-  try {
-    const { username } = req.params;
+const RECENT_POSTS_MS = 7 * 24 * 60 * 60 * 1000;
 
-    let userDoc = await User.findOne({ username }).lean();
-    if (!userDoc) {
-      console.log(`[API] User ${username} not found, fetching and saving Twitter details`);
-      let twitterUser;
-      try {
-        twitterUser = await fetchTwitterUser(username);
-        if (!twitterUser) {
-          return res.status(404).json({ error: 'Twitter user not found' });
-        }
-      } catch (err) {
-        if (err.response?.status === 429) {
-          rateLimitUntil = new Date(Date.now() + 15 * 60 * 1000);
-          console.log(`[API] Rate limit hit, pausing until ${rateLimitUntil}`);
-          return res.status(503).json({ 
-            error: 'Service temporarily unavailable', 
-            details: 'Twitter API rate limit exceeded' 
-          });
-        }
-        throw err;
+async function findRecentPosts(userId) {
+  const posts = await Post.find({
+    userId,
+    createdAt: { $gte: new Date(Date.now() - RECENT_POSTS_MS) },
+    tweetType: { $in: ['main', 'quote', 'replied_to'] }
+  }).lean();
+  return posts.map(post => toPostPayload(post, userId));
+}
+
+// One list per active project, highest score first; the first payload seen for a post wins,
+// so freshly scored posts take precedence over their stored copies
+function categorizePosts(dbProjects, posts) {
+  const categorizedPosts = Object.fromEntries(dbProjects.map(project => [project.name.toUpperCase(), []]));
+  const seenPostIds = new Set();
+  posts.forEach(postData => {
+    if (seenPostIds.has(postData.postId)) return;
+    seenPostIds.add(postData.postId);
+    postData.project.forEach(project => {
+      if (categorizedPosts[project]) {
+        categorizedPosts[project].push(postData);
       }
+    });
+  });
+  Object.values(categorizedPosts).forEach(projectPosts => projectPosts.sort((a, b) => b.score - a.score));
+  const totalPosts = Object.values(categorizedPosts).reduce((sum, projectPosts) => sum + projectPosts.length, 0);
+  return { categorizedPosts, totalPosts };
+}
 
-      const userData = {
-        userId: twitterUser.id,
-        username: twitterUser.username,
-        name: twitterUser.name || '',
-        profile_image_url: twitterUser.profile_image_url || '',
-        followers_count: twitterUser.public_metrics?.followers_count || 0,
-        following_count: twitterUser.public_metrics?.following_count || 0,
-        updatedAt: new Date()
-      };
-      userDoc = await User.findOneAndUpdate(
-        { username },
-        { $set: userData },
-        { upsert: true, new: true, lean: true }
-      );
-      console.log(`[MongoDB] New user ${username} saved with Twitter details:`, userData);
-    }
+async function sendCachedPosts(res, userDoc, dbProjects) {
+  const { categorizedPosts, totalPosts } = categorizePosts(dbProjects, await findRecentPosts(userDoc.userId));
+  res.json({
+    message: totalPosts ? 'Posts retrieved from cache' : 'No relevant posts found in cache',
+    posts: categorizedPosts,
+    warning: 'Using cached data due to Twitter API rate limit'
+  });
+}
 
-    console.log(`[API] Fetching timeline for user: ${username}`);
+router.get('/posts/:username', validate({
+  summary: 'Fetch, score and return a user\'s recent posts grouped by project',
+  params: params({ username: twitterUsername })
+}), async (req, res) => {
+  try {
+    const { username } = req.params;
+
+    let userDoc = await User.findOne({ username }).lean();
     let twitterUser;
     try {
-      twitterUser = await fetchTwitterUser(username);
+      ({ value: twitterUser } = await getTwitterProfile(username));
       if (!twitterUser) {
-        return res.status(404).json({ error: 'Twitter user not found' });
+        return sendError(res, 404, 'Twitter user not found');
       }
     } catch (err) {
       if (err.response?.status === 429) {
-        rateLimitUntil = new Date(Date.now() + 15 * 60 * 1000);
-        console.log(`[API] Rate limit hit, pausing until ${rateLimitUntil}`);
         if (userDoc) {
-          console.log('[API] Using cached user data for posts');
-          const cachedPosts = await Post.find({
-            userId: userDoc.userId,
-            createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
-            tweetType: { $in: ['main', 'quote', 'replied_to'] }
-          }).lean();
-          const dbProjects = await Project.find().lean();
+          log.warn('Rate limited, serving cached posts', { username });
+          const dbProjects = await Project.find(activeProjects()).lean();
           if (!dbProjects.length) {
-            return res.status(404).json({ error: 'No projects configured' });
-          }
-          const categorizedPosts = {};
-          dbProjects.forEach(project => {
-            categorizedPosts[project.name.toUpperCase()] = [];
-          });
-          cachedPosts.forEach(post => {
-            const postData = {
-              SOL_ID: post.SOL_ID || userDoc.userId,
-              DEV_ID: post.DEV_ID || '',
-              userId: post.userId,
-              username: post.username,
-              postId: post.postId,
-              content: post.content,
-              project: post.project,
-              score: post.score,
-              blabz: post.blabz,
-              likes: post.likes,
-              retweets: post.retweets,
-              replies: post.replies,
-              hashtags: post.hashtags || [],
-              tweetUrl: post.tweetUrl,
-              createdAt: post.createdAt,
-              tweetType: post.tweetType,
-              updatedAt: post.updatedAt
-            };
-            post.project.forEach(project => {
-              if (categorizedPosts[project]) {
-                categorizedPosts[project].push(postData);
-              }
-            });
-          });
-          for (const project in categorizedPosts) {
-            const seenPostIds = new Set();
-            categorizedPosts[project] = categorizedPosts[project].filter(post => {
-              if (seenPostIds.has(post.postId)) return false;
-              seenPostIds.add(post.postId);
-              return true;
-            });
-            categorizedPosts[project].sort((a, b) => b.score - a.score);
+            return sendError(res, 404, 'No projects configured');
           }
-          const totalPosts = Object.values(categorizedPosts).reduce((sum, posts) => sum + posts.length, 0);
-          return res.json({
-            message: totalPosts ? 'Posts retrieved from cache' : 'No relevant posts found in cache',
-            posts: categorizedPosts,
-            warning: 'Using cached data due to Twitter API rate limit'
-          });
+          return sendCachedPosts(res, userDoc, dbProjects);
         }
-        return res.status(503).json({ 
-          error: 'Service temporarily unavailable', 
-          details: 'Twitter API rate limit exceeded, no cached data available' 
-        });
+        return sendError(res, 503, 'Service temporarily unavailable: Twitter API rate limit exceeded, no cached data available');
       }
       throw err;
     }
 
     const userId = twitterUser.id;
-    const followersCount = twitterUser.public_metrics?.followers_count || 0;
-
-    const userData = {
-      userId,
-      username: twitterUser.username,
-      name: twitterUser.name || '',
-      profile_image_url: twitterUser.profile_image_url || '',
-      followers_count: followersCount,
-      updatedAt: new Date()
-    };
-    await User.findOneAndUpdate(
-      { userId },
-      { $set: userData },
-      { upsert: true }
-    );
-    console.log(`[MongoDB] User ${username} updated`);
+    // Known users are kept current by the profile cache; the first lookup of an account creates its document
+    if (!userDoc) {
+      userDoc = await saveTwitterProfile(twitterUser);
+    }
 
-    const dbProjects = await Project.find().lean();
+    const dbProjects = await Project.find(activeProjects()).lean();
     if (!dbProjects.length) {
-      return res.status(404).json({ error: 'No projects configured' });
+      return sendError(res, 404, 'No projects configured');
     }
 
-    console.log('[API] Attempting Twitter API call for user timeline');
-    let tweets;
+    let savedPosts;
     try {
-      const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
-      const tweetsResponse = await axios.get(`https://api.twitter.com/2/users/${userId}/tweets`, {
-        headers: {
-          Authorization: `Bearer ${process.env.X_BEARER_TOKEN}`,
-          'Content-Type': 'application/json'
-        },
-        params: {
-          'tweet.fields': 'created_at,public_metrics,text,referenced_tweets',
-          max_results: 50,
-          start_time: sevenDaysAgo
-        }
-      }).catch(err => {
-        if (err.response?.status === 429) {
-          rateLimitUntil = new Date(Date.now() + 15 * 60 * 1000);
-          console.log(`[API] Rate limit hit, pausing until ${rateLimitUntil}`);
-        }
-        throw err;
-      });
-      console.log('[API] Twitter API tweets response:', tweetsResponse.data);
-      tweets = tweetsResponse.data.data || [];
+      savedPosts = await ingestTimeline({ userDoc, twitterUser, dbProjects });
     } catch (err) {
       if (err.response?.status === 429) {
-        rateLimitUntil = new Date(Date.now() + 15 * 60 * 1000);
-        console.log(`[API] Rate limit hit, pausing until ${rateLimitUntil}`);
-        const cachedPosts = await Post.find({
-          userId: userDoc.userId,
-          createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
-          tweetType: { $in: ['main', 'quote', 'replied_to'] }
-        }).lean();
-        const categorizedPosts = {};
-        dbProjects.forEach(project => {
-          categorizedPosts[project.name.toUpperCase()] = [];
-        });
-        cachedPosts.forEach(post => {
-          const postData = {
-            SOL_ID: post.SOL_ID || userDoc.userId,
-            DEV_ID: post.DEV_ID || '',
-            userId: post.userId,
-            username: post.username,
-            postId: post.postId,
-            content: post.content,
-            project: post.project,
-            score: post.score,
-            blabz: post.blabz,
-            likes: post.likes,
-            retweets: post.retweets,
-            replies: post.replies,
-            hashtags: post.hashtags || [],
-            tweetUrl: post.tweetUrl,
-            createdAt: post.createdAt,
-            tweetType: post.tweetType,
-            updatedAt: post.updatedAt
-          };
-          post.project.forEach(project => {
-            if (categorizedPosts[project]) {
-              categorizedPosts[project].push(postData);
-            }
-          });
-        });
-        for (const project in categorizedPosts) {
-          const seenPostIds = new Set();
-          categorizedPosts[project] = categorizedPosts[project].filter(post => {
-            if (seenPostIds.has(post.postId)) return false;
-            seenPostIds.add(post.postId);
-            return true;
-          });
-          categorizedPosts[project].sort((a, b) => b.score - a.score);
-        }
-        const totalPosts = Object.values(categorizedPosts).reduce((sum, posts) => sum + posts.length, 0);
-        return res.json({
-          message: totalPosts ? 'Posts retrieved from cache' : 'No relevant posts found in cache',
-          posts: categorizedPosts,
-          warning: 'Using cached data due to Twitter API rate limit'
-        });
+        return sendCachedPosts(res, userDoc, dbProjects);
       }
       throw err;
     }
 
-    const categorizedPosts = {};
-    dbProjects.forEach(project => {
-      categorizedPosts[project.name.toUpperCase()] = [];
+    const { categorizedPosts, totalPosts } = categorizePosts(dbProjects, [...savedPosts, ...await findRecentPosts(userId)]);
+    res.json({
+      message: totalPosts ? 'Posts retrieved' : 'No relevant posts found',
+      posts: categorizedPosts
     });
+  } catch (err) {
+    log.error('GET /posts failed', { err });
+    sendServerError(res, err);
+  }
+});
 
-    if (tweets.length) {
-      for (const tweet of tweets) {
-        if (tweet.referenced_tweets?.[0]?.type && !['quoted', 'replied_to'].includes(tweet.referenced_tweets[0].type)) {
-          console.log(`[API] Skipping non-post/quote/reply tweet ${tweet.id}`);
-          await ProcessedPost.findOneAndUpdate(
-            { postId: tweet.id },
-            { postId: tweet.id, updatedAt: new Date() },
-            { upsert: true }
-          );
-          continue;
-        }
-
-        if (tweet.text.length < 51) {
-          console.log(`[API] Skipping short tweet ${tweet.id}`);
-          await ProcessedPost.findOneAndUpdate(
-            { postId: tweet.id },
-            { postId: tweet.id, updatedAt: new Date() },
-            { upsert: true }
-          );
-          continue;
-        }
-
-        if (extractMentions(tweet.text) / tweet.text.length > 0.6) {
-          console.log(`[API] Skipping mention-heavy tweet ${tweet.id}`);
-          await ProcessedPost.findOneAndUpdate(
-            { postId: tweet.id },
-            { postId: tweet.id, updatedAt: new Date() },
-            { upsert: true }
-          );
-          continue;
-        }
-
-        if (await ProcessedPost.findOne({ postId: tweet.id }).lean()) {
-          console.log(`[API] Skipping already processed tweet ${tweet.id}`);
-          continue;
-        }
-
-        const text = tweet.text.toLowerCase();
-        const matchedProjects = dbProjects
-          .filter(project => {
-            const terms = [project.name.toLowerCase(), ...project.keywords.map(k => k.toLowerCase())];
-            return terms.some(term => text.includes(term));
-          })
-          .map(project => project.name.toUpperCase());
-
-        if (matchedProjects.length === 0) {
-          console.log(`[API] Skipping tweet ${tweet.id} with no project match`);
-          await ProcessedPost.findOneAndUpdate(
-            { postId: tweet.id },
-            { postId: tweet.id, updatedAt: new Date() },
-            { upsert: true }
-          );
-          continue;
-        }
-
-        const qualityScore = calculateQualityScore(tweet, followersCount);
-        const projectBlabz = parseFloat(calculateBlabzPerProject(qualityScore));
-        const totalBlabz = (projectBlabz * matchedProjects.length).toFixed(4);
-
-        const postData = {
-          SOL_ID: userDoc.SOL_ID || userId,
-          DEV_ID: userDoc.DEV_ID || '',
-          userId,
-          username,
-          postId: tweet.id,
-          content: tweet.text,
-          project: matchedProjects,
-          score: qualityScore,
-          blabz: totalBlabz,
-          likes: tweet.public_metrics?.like_count || 0,
-          retweets: tweet.public_metrics?.retweet_count || 0,
-          replies: tweet.public_metrics?.reply_count || 0,
-          hashtags: extractHashtags(tweet.text),
-          tweetUrl: `https://x.com/${username}/status/${tweet.id}`,
-          createdAt: new Date(tweet.created_at),
-          tweetType: tweet.referenced_tweets?.[0]?.type || 'main',
-          updatedAt: new Date()
-        };
-
-        const post = await Post.findOneAndUpdate(
-          { postId: tweet.id },
-          { $set: postData },
-          { upsert: true, new: true }
-        );
-        await ProcessedPost.findOneAndUpdate(
-          { postId: tweet.id },
-          { postId: tweet.id, updatedAt: new Date() },
-          { upsert: true }
-        );
-        console.log(`[MongoDB] Post ${tweet.id} saved for user ${username}`);
-
-        matchedProjects.forEach(project => {
-          if (categorizedPosts[project]) {
-            categorizedPosts[project].push(postData);
-          }
-        });
-      }
+router.get('/post-history/:postId', validate({
+  summary: 'Score and engagement history of a post',
+  params: params({ postId: { type: 'string', pattern: '^[0-9]+$' } })
+}), async (req, res) => {
+  try {
+    // Any tweet of a thread resolves to the thread it was scored as
+    const post = await Post.findOne({ $or: [{ postId: req.params.postId }, { 'thread.tweetIds': req.params.postId }] })
+      .select('postId userId username project score blabz scores likes retweets replies quotes thread scoreHistory metricsRefreshedAt createdAt')
+      .lean();
+    if (!post) {
+      return sendError(res, 404, 'Post not found');
     }
-
-    const dbPosts = await Post.find({
-      userId,
-      createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
-      tweetType: { $in: ['main', 'quote', 'replied_to'] }
-    }).lean();
-    dbPosts.forEach(post => {
-      const postData = {
-        SOL_ID: post.SOL_ID || userId,
-        DEV_ID: post.DEV_ID || '',
-        userId: post.userId,
-        username: post.username,
-        postId: post.postId,
-        content: post.content,
-        project: post.project,
+    res.json({
+      postId: post.postId,
+      userId: post.userId,
+      username: post.username,
+      project: post.project,
+      thread: toThreadPayload(post.thread),
+      current: {
         score: post.score,
         blabz: post.blabz,
+        scores: post.scores || [],
         likes: post.likes,
         retweets: post.retweets,
         replies: post.replies,
-        hashtags: post.hashtags || [],
-        tweetUrl: post.tweetUrl,
-        createdAt: post.createdAt,
-        tweetType: post.tweetType,
-        updatedAt: post.updatedAt
-      };
-      post.project.forEach(project => {
-        if (categorizedPosts[project]) {
-          categorizedPosts[project].push(postData);
-        }
-      });
-    });
-
-    for (const project in categorizedPosts) {
-      const seenPostIds = new Set();
-      categorizedPosts[project] = categorizedPosts[project].filter(post => {
-        if (seenPostIds.has(post.postId)) return false;
-        seenPostIds.add(post.postId);
-        return true;
-      });
-      categorizedPosts[project].sort((a, b) => b.score - a.score);
-    }
-
-    const totalPosts = Object.values(categorizedPosts).reduce((sum, posts) => sum + posts.length, 0);
-    res.json({
-      message: totalPosts ? 'Posts retrieved' : 'No relevant posts found',
-      posts: categorizedPosts
+        quotes: post.quotes || 0
+      },
+      history: post.scoreHistory || [],
+      metricsRefreshedAt: post.metricsRefreshedAt,
+      createdAt: post.createdAt
     });
   } catch (err) {
-    console.error('[API] GET /posts error:', err.response?.status, err.message, err.stack);
-    res.status(err.response?.status || 500).json({ error: 'Server error', details: err.message });
+    log.error('GET /post-history failed', { err });
+    sendServerError(res, err);
   }
 });
 
-router.get('/project-details/:project', async (req, res) => {
+const LEADERBOARD_WINDOWS = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000
+};
+
+router.get('/leaderboard/:project', validate({
+  summary: 'Rank users by blabz earned for a project in a time window',
+  params: projectParams,
+  query: {
+    type: 'object',
+    properties: {
+      window: { type: 'string', enum: [...Object.keys(LEADERBOARD_WINDOWS), 'all', 'custom'], default: '7d' },
+      from: dateTime,
+      to: dateTime,
+      limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100 }
+    }
+  }
+}), async (req, res) => {
   try {
-    const { project } = req.params;
-    console.log(`[API] Fetching project details for twitterUsername: ${project}`);
-
-    let dbProject = await Project.findOne({ twitterUsername: project }).lean();
-    if (!dbProject) {
-      console.log(`[API] Project with twitterUsername ${project} not found, creating new project`);
-      const projectData = {
-        name: project.toUpperCase(),
-        displayName: '',
-        keywords: [],
-        description: '',
-        website: '',
-        twitterUsername: project,
-        userId: '',
-        profile_image_url: '',
-        followers_count: 0,
-        following_count: 0,
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
-      dbProject = await Project.findOneAndUpdate(
-        { twitterUsername: project },
-        { $set: projectData },
-        { upsert: true, new: true }
-      ).lean();
-      console.log(`[MongoDB] Project with twitterUsername ${project} created:`, dbProject);
+    const projectName = req.params.project.toUpperCase();
+    const { window, from, to } = req.query;
+    const limit = parseInt(req.query.limit);
+
+    let start = null;
+    let end = null;
+    if (LEADERBOARD_WINDOWS[window]) {
+      start = new Date(Date.now() - LEADERBOARD_WINDOWS[window]);
+    } else if (window === 'custom') {
+      if (!from) {
+        return sendError(res, 400, 'Custom window requires a from date', {
+          code: 'VALIDATION_ERROR',
+          fields: [{ field: 'query.from', message: 'is required when window is custom' }]
+        });
+      }
+      start = new Date(from);
+      end = to ? new Date(to) : null;
+      if (end && end < start) {
+        return sendError(res, 400, 'from must be before to');
+      }
     }
 
-    if (!dbProject.twitterUsername) {
-      return res.status(400).json({ error: 'No Twitter username associated with this project' });
+    const dbProject = await Project.findOne(activeProjects({ name: projectName })).lean();
+    if (!dbProject) {
+      return sendError(res, 404, 'Project not found');
     }
 
-    if (dbProject.userId && dbProject.updatedAt > new Date(Date.now() - 15 * 60 * 1000)) {
-      console.log(`[API] Using fresh cached project data for ${dbProject.twitterUsername}`);
-      return res.json({
-        _id: dbProject._id,
-        name: dbProject.name,
-        displayName: dbProject.displayName,
-        createdAt: dbProject.createdAt,
-        description: dbProject.description || '',
-        keywords: dbProject.keywords || [],
-        website: dbProject.website || '',
-        twitterUsername: dbProject.twitterUsername,
-        userId: dbProject.userId,
-        profile_image_url: dbProject.profile_image_url,
-        followers_count: dbProject.followers_count,
-        following_count: dbProject.following_count,
-        updatedAt: dbProject.updatedAt
-      });
+    const match = { project: projectName };
+    if (start || end) {
+      match.createdAt = {};
+      if (start) match.createdAt.$gte = start;
+      if (end) match.createdAt.$lte = end;
     }
 
-    let twitterUser;
-    try {
-      twitterUser = await fetchTwitterUser(dbProject.twitterUsername);
-      if (!twitterUser) {
-        return res.status(404).json({ error: 'Twitter user not found for project' });
-      }
-    } catch (err) {
-      if (err.response?.status === 429) {
-        rateLimitUntil = new Date(Date.now() + 15 * 60 * 1000);
-        console.log(`[API] Rate limit hit, pausing until ${rateLimitUntil}`);
-        if (dbProject.userId) {
-          console.log('[API] Using cached project data');
-          return res.json({
-            _id: dbProject._id,
-            name: dbProject.name,
-            displayName: dbProject.displayName,
-            createdAt: dbProject.createdAt,
-            description: dbProject.description || '',
-            keywords: dbProject.keywords || [],
-            website: dbProject.website || '',
-            twitterUsername: dbProject.twitterUsername,
-            userId: dbProject.userId,
-            profile_image_url: dbProject.profile_image_url,
-            followers_count: dbProject.followers_count,
-            following_count: dbProject.following_count,
-            updatedAt: dbProject.updatedAt,
-            warning: 'Using cached data due to Twitter API rate limit'
-          });
+    log.debug(`Building leaderboard for ${projectName}`, { project: projectName, window });
+    const rows = await Post.aggregate([
+      { $match: match },
+      // Post.blabz is the total across every matched project, so only this project's entry counts here;
+      // posts scored before per-project models fall back to an even share of the total
+      {
+        $addFields: {
+          projectScore: {
+            $arrayElemAt: [{ $filter: { input: { $ifNull: ['$scores', []] }, cond: { $eq: ['$$this.project', projectName] } } }, 0]
+          }
         }
-        return res.status(503).json({ 
-          error: 'Service temporarily unavailable', 
-          details: 'Twitter API rate limit exceeded, no cached data available' 
-        });
-      }
-      throw err;
-    }
-
-    const projectData = {
-      name: dbProject.name || project.toUpperCase(),
-      displayName: twitterUser.name || '',
-      keywords: dbProject.keywords || [],
-      description: dbProject.description || '',
-      website: dbProject.website || '',
-      twitterUsername: twitterUser.username,
-      userId: twitterUser.id,
-      profile_image_url: twitterUser.profile_image_url || '',
-      followers_count: twitterUser.public_metrics?.followers_count || 0,
-      following_count: twitterUser.public_metrics?.following_count || 0,
-      updatedAt: new Date()
-    };
-    const updatedProject = await Project.findOneAndUpdate(
-      { twitterUsername: project },
-      { $set: projectData },
-      { new: true }
-    );
-    console.log(`[MongoDB] Project with twitterUsername ${project} updated with Twitter details`);
+      },
+      {
+        $addFields: {
+          projectBlabz: { $ifNull: ['$projectScore.blabz', { $divide: ['$blabz', { $max: [{ $size: '$project' }, 1] }] }] },
+          projectPoints: { $ifNull: ['$projectScore.score', '$score'] }
+        }
+      },
+      {
+        $group: {
+          _id: '$userId',
+          SOL_ID: { $last: '$SOL_ID' },
+          username: { $last: '$username' },
+          totalBlabz: { $sum: '$projectBlabz' },
+          totalScore: { $sum: '$projectPoints' },
+          postCount: { $sum: 1 },
+          averageScore: { $avg: '$projectPoints' }
+        }
+      },
+      { $sort: { totalBlabz: -1, totalScore: -1, _id: 1 } },
+      { $limit: limit }
+    ]);
+
+    const leaderboard = rows.map((row, index) => ({
+      rank: index + 1,
+      userId: row._id,
+      username: row.username,
+      SOL_ID: row.SOL_ID || '',
+      totalBlabz: parseFloat(row.totalBlabz.toFixed(4)),
+      totalScore: row.totalScore,
+      postCount: row.postCount,
+      averageScore: parseFloat(row.averageScore.toFixed(2))
+    }));
 
     res.json({
-      _id: updatedProject._id,
-      name: updatedProject.name,
-      displayName: updatedProject.displayName,
-      createdAt: updatedProject.createdAt,
-      description: updatedProject.description,
-      keywords: updatedProject.keywords,
-      website: updatedProject.website,
-      twitterUsername: updatedProject.twitterUsername,
-      userId: twitterUser.id,
-      profile_image_url: twitterUser.profile_image_url,
-      followers_count: twitterUser.public_metrics.followers_count,
-      following_count: twitterUser.public_metrics.following_count,
-      updatedAt: updatedProject.updatedAt
+      project: projectName,
+      window,
+      from: start,
+      to: end || new Date(),
+      leaderboard
     });
   } catch (err) {
-    console.error('[API] GET /project-details error:', err.response?.status, err.message, err.stack);
-    res.status(err.response?.status || 500).json({ error: 'Server error', details: err.message });
+    log.error('GET /leaderboard failed', { err });
+    sendServerError(res, err);
   }
 });
 
-router.delete('/processed-posts', async (req, res) => {
+// Scoped by userId, username, project, reason (comma-separated), from/to on the processing time,
+// or all=true; dryRun=true only reports what would be reprocessed
+router.delete('/processed-posts', requireRole('admin'), validate({
+  summary: 'Clear processed-tweet records in a scope so those tweets are ingested again',
+  query: {
+    type: 'object',
+    properties: {
+      userId: nonEmptyString,
+      username: nonEmptyString,
+      project: nonEmptyString,
+      reason: { type: 'string', pattern: `^(${SKIP_REASONS.join('|')})(,(${SKIP_REASONS.join('|')}))*$` },
+      from: dateTime,
+      to: dateTime,
+      all: { type: 'boolean' },
+      dryRun: { type: 'boolean' }
+    }
+  }
+}), async (req, res) => {
   try {
-    console.log('[API] Clearing all processed posts');
-    const result = await ProcessedPost.deleteMany({});
-    console.log(`[MongoDB] Deleted ${result.deletedCount} processed posts`);
+    const { filter, errors } = buildReprocessFilter(req.query);
+    if (errors.length) {
+      return sendError(res, 400, 'Invalid reprocessing scope', { code: 'VALIDATION_ERROR', fields: errors.map(message => ({ field: 'query', message })) });
+    }
+    const dryRun = req.query.dryRun === 'true';
+    log.info(`${dryRun ? 'Dry run: c' : 'C'}learing processed posts`, { filter, dryRun, actor: req.apiKey.name });
+    const result = await reprocess(filter, { dryRun, project: req.query.project });
     res.json({
-      message: `Successfully deleted ${result.deletedCount} processed posts`,
-      deletedCount: result.deletedCount
+      message: dryRun
+        ? `${result.matched} processed posts would be reprocessed`
+        : `Successfully deleted ${result.deletedCount} processed posts`,
+      ...result
     });
   } catch (err) {
-    console.error('[API] DELETE /processed-posts error:', err.message, err.stack);
-    res.status(500).json({ error: 'Server error', details: err.message });
+    log.error('DELETE /processed-posts failed', { err });
+    sendServerError(res, err);
   }
 });
 
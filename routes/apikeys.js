@@ -0,0 +1,106 @@
+const express = require('express');
+const ApiKey = require('../models/apikey');
+const Project = require('../models/project');
+const { generateApiKey, hashApiKey, requireRole } = require('../middleware/auth');
+const { activeProjects } = require('../services/projects');
+const { sendError, sendServerError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const { nonEmptyString, objectId, params } = require('../middleware/schemas');
+const { createLogger } = require('../services/logger');
+
+const log = createLogger('api');
+
+const router = express.Router();
+
+function toApiKeyPayload(apiKey) {
+  return {
+    _id: apiKey._id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    role: apiKey.role,
+    projectId: apiKey.projectId,
+    lastUsedAt: apiKey.lastUsedAt,
+    revokedAt: apiKey.revokedAt,
+    createdAt: apiKey.createdAt
+  };
+}
+
+router.post('/api-keys', requireRole('admin'), validate({
+  summary: 'Create an API key; the raw key is only returned in this response',
+  body: {
+    type: 'object',
+    required: ['name', 'role'],
+    properties: {
+      name: nonEmptyString,
+      role: { type: 'string', enum: ['admin', 'project-owner', 'read-only'] },
+      project: nonEmptyString
+    }
+  }
+}), async (req, res) => {
+  try {
+    const { name, role, project } = req.body;
+
+    let projectId = null;
+    if (role === 'project-owner') {
+      if (!project) {
+        return sendError(res, 400, 'project required for project-owner keys', {
+          code: 'VALIDATION_ERROR',
+          fields: [{ field: 'body.project', message: 'is required for project-owner keys' }]
+        });
+      }
+      const dbProject = await Project.findOne(activeProjects({ name: project.toUpperCase() })).select('_id').lean();
+      if (!dbProject) {
+        return sendError(res, 404, 'Project not found');
+      }
+      projectId = dbProject._id;
+    }
+
+    const key = generateApiKey();
+    const apiKey = await ApiKey.create({
+      name,
+      keyHash: hashApiKey(key),
+      prefix: key.slice(0, 12),
+      role,
+      projectId
+    });
+    log.info(`API key ${apiKey.prefix}… created`, { prefix: apiKey.prefix, role, actor: req.apiKey.name });
+    // The raw key is only ever returned here; Mongo keeps the hash
+    res.json({ message: `API key ${name} created`, key, apiKey: toApiKeyPayload(apiKey) });
+  } catch (err) {
+    log.error('POST /api-keys failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+router.get('/api-keys', requireRole('admin'), validate({ summary: 'List API keys' }), async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find().sort({ createdAt: -1 }).lean();
+    res.json({ apiKeys: apiKeys.map(toApiKeyPayload) });
+  } catch (err) {
+    log.error('GET /api-keys failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+router.delete('/api-keys/:id', requireRole('admin'), validate({
+  summary: 'Revoke an API key',
+  params: params({ id: objectId })
+}), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (!apiKey) {
+      return sendError(res, 404, 'API key not found');
+    }
+    log.info(`API key ${apiKey.prefix}… revoked`, { prefix: apiKey.prefix, actor: req.apiKey.name });
+    res.json({ message: `API key ${apiKey.name} revoked`, apiKey: toApiKeyPayload(apiKey) });
+  } catch (err) {
+    log.error('DELETE /api-keys failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+const Campaign = require('../models/campaign');
+const CampaignContribution = require('../models/campaigncontribution');
+const Project = require('../models/project');
+const { requireProjectAccess } = require('../middleware/auth');
+const { campaignStatus } = require('../services/campaigns');
+const { activeProjects } = require('../services/projects');
+const { sendError, sendServerError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const { nonEmptyString, dateTime, objectId, params, projectParams } = require('../middleware/schemas');
+const { createLogger } = require('../services/logger');
+
+const log = createLogger('api');
+
+const router = express.Router();
+
+function toCampaignPayload(campaign) {
+  return {
+    _id: campaign._id,
+    project: campaign.project,
+    name: campaign.name,
+    description: campaign.description,
+    startsAt: campaign.startsAt,
+    endsAt: campaign.endsAt,
+    budget: campaign.budget,
+    perUserCap: campaign.perUserCap,
+    requiredHashtags: campaign.requiredHashtags,
+    spent: parseFloat(campaign.spent.toFixed(4)),
+    remaining: parseFloat(Math.max(campaign.budget - campaign.spent, 0).toFixed(4)),
+    status: campaignStatus(campaign),
+    createdAt: campaign.createdAt
+  };
+}
+
+router.post('/projects/:project/campaigns', requireProjectAccess(req => ({ name: req.params.project.toUpperCase() })), validate({
+  summary: 'Create a time-bounded reward campaign with a blabz budget',
+  params: projectParams,
+  body: {
+    type: 'object',
+    required: ['name', 'startsAt', 'endsAt', 'budget'],
+    properties: {
+      name: nonEmptyString,
+      description: { type: 'string' },
+      startsAt: dateTime,
+      endsAt: dateTime,
+      budget: { type: 'number', exclusiveMinimum: 0 },
+      // 0 means no per-user cap
+      perUserCap: { type: 'number', minimum: 0 },
+      requiredHashtags: { type: 'array', items: { type: 'string', pattern: '^#?\\w+$' } }
+    }
+  }
+}), async (req, res) => {
+  try {
+    const projectName = req.params.project.toUpperCase();
+    const { name, description, startsAt, endsAt, budget, perUserCap, requiredHashtags } = req.body;
+    if (new Date(endsAt) <= new Date(startsAt)) {
+      return sendError(res, 400, 'endsAt must be after startsAt', {
+        code: 'VALIDATION_ERROR',
+        fields: [{ field: 'body.endsAt', message: 'must be after startsAt' }]
+      });
+    }
+    if (!(await Project.exists(activeProjects({ name: projectName })))) {
+      return sendError(res, 404, 'Project not found');
+    }
+
+    const campaign = await Campaign.create({
+      project: projectName,
+      name,
+      description: description || '',
+      startsAt: new Date(startsAt),
+      endsAt: new Date(endsAt),
+      budget,
+      perUserCap: perUserCap || 0,
+      requiredHashtags: (requiredHashtags || []).map(tag => tag.replace(/^#/, '').trim()),
+      createdBy: req.apiKey.name
+    });
+    log.info(`Campaign ${name} created for ${projectName}`, { campaign: name, project: projectName, actor: req.apiKey.name });
+    res.json({ message: `Campaign ${name} created`, campaign: toCampaignPayload(campaign) });
+  } catch (err) {
+    log.error('POST /projects/:project/campaigns failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+router.get('/projects/:project/campaigns', validate({
+  summary: 'List a project\'s campaigns with budget status',
+  params: projectParams
+}), async (req, res) => {
+  try {
+    const campaigns = await Campaign.find({ project: req.params.project.toUpperCase() }).sort({ startsAt: -1 }).lean();
+    res.json({ campaigns: campaigns.map(campaign => toCampaignPayload(campaign)) });
+  } catch (err) {
+    log.error('GET /projects/:project/campaigns failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+router.get('/campaigns/:id', validate({
+  summary: 'Campaign status with spent and remaining budget and top contributors',
+  params: params({ id: objectId }),
+  query: { type: 'object', properties: { limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 } } }
+}), async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id).lean();
+    if (!campaign) {
+      return sendError(res, 404, 'Campaign not found');
+    }
+    const limit = parseInt(req.query.limit);
+    const [topContributors, contributorCount] = await Promise.all([
+      CampaignContribution.find({ campaignId: campaign._id }).sort({ blabz: -1 }).limit(limit).lean(),
+      CampaignContribution.countDocuments({ campaignId: campaign._id })
+    ]);
+
+    res.json({
+      campaign: toCampaignPayload(campaign),
+      contributorCount,
+      topContributors: topContributors.map((contribution, index) => ({
+        rank: index + 1,
+        userId: contribution.userId,
+        username: contribution.username,
+        SOL_ID: contribution.SOL_ID,
+        blabz: parseFloat(contribution.blabz.toFixed(4)),
+        posts: contribution.posts,
+        capReached: campaign.perUserCap > 0 && contribution.blabz >= campaign.perUserCap
+      }))
+    });
+  } catch (err) {
+    log.error('GET /campaigns/:id failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require('express');
+const Lead = require('../models/lead');
+const Post = require('../models/post');
+const Project = require('../models/project');
+const { sendError, sendServerError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const { projectParams, pagination } = require('../middleware/schemas');
+const { createLogger } = require('../services/logger');
+const { activeProjects } = require('../services/projects');
+
+const log = createLogger('api');
+
+const router = express.Router();
+
+router.get('/projects/:project/mentions', validate({
+  summary: 'Posts found through recent search and unregistered authors recorded as leads',
+  params: projectParams,
+  query: { type: 'object', properties: pagination(50, 200) }
+}), async (req, res) => {
+  try {
+    const projectName = req.params.project.toUpperCase();
+    const limit = parseInt(req.query.limit);
+    const page = parseInt(req.query.page);
+
+    const dbProject = await Project.findOne(activeProjects({ name: projectName })).lean();
+    if (!dbProject) {
+      return sendError(res, 404, 'Project not found');
+    }
+
+    const [posts, postCount, leads, leadCount] = await Promise.all([
+      Post.find({ project: projectName, source: 'search' })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('postId userId username content score blabz likes retweets replies tweetUrl createdAt')
+        .lean(),
+      Post.countDocuments({ project: projectName, source: 'search' }),
+      Lead.find({ project: projectName })
+        .sort({ mentionCount: -1, lastSeenAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Lead.countDocuments({ project: projectName })
+    ]);
+
+    res.json({
+      project: projectName,
+      discovery: dbProject.discovery || {},
+      page,
+      limit,
+      posts: { total: postCount, items: posts },
+      leads: {
+        total: leadCount,
+        items: leads.map(lead => ({
+          userId: lead.userId,
+          username: lead.username,
+          name: lead.name,
+          profile_image_url: lead.profile_image_url,
+          followers_count: lead.followers_count,
+          mentionCount: lead.mentionCount,
+          tweetUrls: lead.tweetIds.map(id => `https://x.com/${lead.username}/status/${id}`),
+          firstSeenAt: lead.firstSeenAt,
+          lastSeenAt: lead.lastSeenAt
+        }))
+      }
+    });
+  } catch (err) {
+    log.error('GET /projects/:project/mentions failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+module.exports = router;
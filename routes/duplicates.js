@@ -0,0 +1,167 @@
+const express = require('express');
+const Post = require('../models/post');
+const { requireRole } = require('../middleware/auth');
+const { sendError, sendServerError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const { nonEmptyString, params, pagination } = require('../middleware/schemas');
+const { applyCampaigns, releaseCampaigns } = require('../services/campaigns');
+const { createLogger } = require('../services/logger');
+
+const log = createLogger('api');
+
+const router = express.Router();
+
+router.get('/duplicates', requireRole('admin'), validate({
+  summary: 'Near-duplicate clusters awaiting or past review',
+  query: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['pending', 'confirmed', 'dismissed', 'all'], default: 'pending' },
+      project: nonEmptyString,
+      ...pagination(20, 100)
+    }
+  }
+}), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = parseInt(req.query.limit);
+    const page = parseInt(req.query.page);
+
+    const match = { 'duplicate.flagged': true };
+    if (status !== 'all') match['duplicate.reviewStatus'] = status;
+    if (req.query.project) match.project = req.query.project.toUpperCase();
+
+    const clusters = await Post.aggregate([
+      { $match: match },
+      { $sort: { createdAt: 1 } },
+      {
+        $group: {
+          _id: '$duplicate.clusterId',
+          size: { $sum: 1 },
+          latestFlaggedAt: { $max: '$duplicate.flaggedAt' },
+          members: {
+            $push: {
+              postId: '$postId',
+              userId: '$userId',
+              username: '$username',
+              content: '$content',
+              project: '$project',
+              tweetUrl: '$tweetUrl',
+              createdAt: '$createdAt',
+              matchedPostId: '$duplicate.matchedPostId',
+              distance: '$duplicate.distance',
+              action: '$duplicate.action',
+              reviewStatus: '$duplicate.reviewStatus',
+              withheldBlabz: '$duplicate.withheld.blabz'
+            }
+          }
+        }
+      },
+      { $sort: { size: -1, latestFlaggedAt: -1 } },
+      { $skip: (page - 1) * limit },
+      { $limit: limit }
+    ]);
+
+    const originals = await Post.find({ postId: { $in: clusters.map(cluster => cluster._id) } })
+      .select('postId userId username content project tweetUrl createdAt score blabz')
+      .lean();
+    const originalsById = new Map(originals.map(post => [post.postId, post]));
+
+    res.json({
+      status,
+      page,
+      limit,
+      clusters: clusters.map(cluster => ({
+        clusterId: cluster._id,
+        original: originalsById.get(cluster._id) || null,
+        size: cluster.size,
+        latestFlaggedAt: cluster.latestFlaggedAt,
+        members: cluster.members
+      }))
+    });
+  } catch (err) {
+    log.error('GET /duplicates failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+// confirmed: the post earns nothing (its score is withheld if it was only flagged) and what it drew
+// from campaign budgets goes back to them
+// dismissed: a false positive, any withheld score is restored and drawn from its campaigns again
+router.put('/duplicates/:postId', requireRole('admin'), validate({
+  summary: 'Confirm or dismiss a flagged duplicate',
+  params: params({ postId: { type: 'string', pattern: '^[0-9]+$' } }),
+  body: {
+    type: 'object',
+    required: ['status'],
+    properties: { status: { type: 'string', enum: ['confirmed', 'dismissed'] } }
+  }
+}), async (req, res) => {
+  try {
+    const { status } = req.body;
+    const post = await Post.findOne({ postId: req.params.postId, 'duplicate.flagged': true }).lean();
+    if (!post) {
+      return sendError(res, 404, 'Flagged post not found');
+    }
+
+    const update = {
+      'duplicate.reviewStatus': status,
+      'duplicate.reviewedBy': req.apiKey.name,
+      'duplicate.reviewedAt': new Date(),
+      updatedAt: new Date()
+    };
+    const withheld = post.duplicate.withheld;
+    let redrawn = null;
+    if (status === 'dismissed' && withheld) {
+      const restored = { ...post, score: withheld.score, blabz: withheld.blabz, scores: withheld.scores };
+      // A withheld post holds no campaign draws (ingestion skipped them or the confirm released them)
+      if (!post.campaigns?.length) redrawn = await applyCampaigns(restored);
+      const scored = redrawn || restored;
+      Object.assign(update, {
+        score: scored.score,
+        blabz: scored.blabz,
+        scores: scored.scores,
+        campaigns: scored.campaigns || [],
+        'duplicate.withheld': null
+      });
+    }
+    if (status === 'confirmed') {
+      Object.assign(update, { campaigns: [] });
+    }
+    if (status === 'confirmed' && !withheld) {
+      Object.assign(update, {
+        score: 0,
+        blabz: 0,
+        scores: (post.scores || []).map(entry => ({ ...entry, score: 0, blabz: 0 })),
+        'duplicate.action': 'zero',
+        'duplicate.withheld': { score: post.score, blabz: post.blabz, scores: post.scores || [] }
+      });
+    }
+
+    // Only the review that wins the update moves campaign budget, so concurrent reviews can't
+    // release or draw twice
+    const updatedPost = await Post.findOneAndUpdate(
+      { _id: post._id, 'duplicate.reviewedAt': post.duplicate.reviewedAt || null },
+      { $set: update },
+      { new: true }
+    ).lean();
+    if (!updatedPost) {
+      if (redrawn) await releaseCampaigns(redrawn);
+      return sendError(res, 409, 'Post was reviewed concurrently, retry');
+    }
+    if (status === 'confirmed') await releaseCampaigns(post);
+    log.info(`Duplicate post marked ${status}`, { postId: post.postId, status, actor: req.apiKey.name });
+    res.json({
+      message: `Post ${post.postId} marked ${status}`,
+      postId: updatedPost.postId,
+      score: updatedPost.score,
+      blabz: updatedPost.blabz,
+      duplicate: updatedPost.duplicate
+    });
+  } catch (err) {
+    log.error('PUT /duplicates failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+const express = require('express');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const Post = require('../models/post');
+const Project = require('../models/project');
+const { requireRole } = require('../middleware/auth');
+const { POST_FIELDS, toPostPayload } = require('../services/posts');
+const { sendError, sendServerError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const { nonEmptyString, dateTime } = require('../middleware/schemas');
+const { createLogger } = require('../services/logger');
+
+const log = createLogger('api');
+
+const router = express.Router();
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+const TWEET_TYPES = ['main', 'quote', 'replied_to'];
+
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (Array.isArray(value)) {
+    text = value.every(item => typeof item !== 'object') ? value.join(';') : JSON.stringify(value);
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(values) {
+  return values.map(toCsvCell).join(',') + '\n';
+}
+
+// Export rows pulled from the cursor only as fast as the client reads them. pipeline() destroys the
+// stream when the client goes away, which returns the generator and closes the cursor.
+async function* exportRows(cursor, format, counter) {
+  try {
+    if (format === 'csv') yield toCsvRow(POST_FIELDS);
+    for await (const post of cursor) {
+      const payload = toPostPayload(post);
+      yield format === 'csv'
+        ? toCsvRow(POST_FIELDS.map(field => payload[field]))
+        : JSON.stringify(payload) + '\n';
+      counter.exported++;
+    }
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+}
+
+router.get('/export/posts', requireRole('admin', 'project-owner', 'read-only'), validate({
+  summary: 'Stream scored posts as CSV or NDJSON',
+  query: {
+    type: 'object',
+    properties: {
+      format: { type: 'string', enum: EXPORT_FORMATS, default: 'csv' },
+      project: nonEmptyString,
+      user: nonEmptyString,
+      from: dateTime,
+      to: dateTime,
+      tweetType: { type: 'string', enum: TWEET_TYPES },
+      minScore: { type: 'number' }
+    }
+  }
+}), async (req, res) => {
+  const { format, user, from, to, tweetType, minScore } = req.query;
+  try {
+    let project = req.query.project ? req.query.project.toUpperCase() : null;
+    // Project-owner keys only ever export their own project's posts
+    if (req.apiKey.role === 'project-owner') {
+      const ownProject = await Project.findById(req.apiKey.projectId).select('name').lean();
+      if (!ownProject || (project && project !== ownProject.name.toUpperCase())) {
+        return sendError(res, 403, 'API key is not allowed to export this project');
+      }
+      project = ownProject.name.toUpperCase();
+    }
+
+    const filter = {};
+    if (project) filter.project = project;
+    if (user) filter.$or = [{ username: user }, { userId: user }];
+    if (tweetType) filter.tweetType = tweetType;
+    if (minScore !== undefined) filter.score = { $gte: parseFloat(minScore) };
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    log.debug(`Exporting posts as ${format}`, { format, filter });
+    const filename = `posts-${project ? project.toLowerCase() + '-' : ''}${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set({
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+
+    const cursor = Post.find(filter).sort({ createdAt: 1, _id: 1 }).lean().cursor();
+    const counter = { exported: 0 };
+    try {
+      await pipeline(Readable.from(exportRows(cursor, format, counter)), res);
+    } catch (err) {
+      if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') throw err;
+      log.info(`Client disconnected after ${counter.exported} posts`, { format, exported: counter.exported });
+      return;
+    }
+    log.info(`Exported ${counter.exported} posts as ${format}`, { format, exported: counter.exported });
+  } catch (err) {
+    log.error('GET /export/posts failed', { err });
+    if (res.headersSent || res.destroyed) {
+      // The status line is already out; cut the stream so the client sees a truncated export
+      return res.destroy(err);
+    }
+    sendServerError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { getRateLimitUntil, getRateLimitBuckets, getTokenPoolState } = require('../services/twitter');
+const { register } = require('../services/metrics');
+const { getProfileCacheStats } = require('../services/profiles');
+const { sendServerError } = require('../middleware/errors');
+const { createLogger } = require('../services/logger');
+
+const log = createLogger('health');
+
+const router = express.Router();
+
+const MONGO_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+const MONGO_PING_TIMEOUT_MS = 2000;
+
+async function pingMongo() {
+  if (mongoose.connection.readyState !== 1) return false;
+  let timer;
+  try {
+    await Promise.race([
+      mongoose.connection.db.admin().ping(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('ping timed out')), MONGO_PING_TIMEOUT_MS);
+      })
+    ]);
+    return true;
+  } catch (err) {
+    log.warn('MongoDB ping failed', { err });
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Operational endpoints are mounted at the root, outside /solcontent and the OpenAPI document
+router.get('/metrics', async (req, res) => {
+  try {
+    res.set('Content-Type', register.contentType);
+    res.send(await register.metrics());
+  } catch (err) {
+    log.error('Error collecting metrics', { err });
+    sendServerError(res, err);
+  }
+});
+
+// A misconfigured client (e.g. no bearer tokens) is reported rather than failing the health check
+function rateLimitState() {
+  try {
+    const until = getRateLimitUntil();
+    const tokens = getTokenPoolState();
+    return {
+      active: Boolean(until),
+      until,
+      limitedEndpoints: getRateLimitBuckets()
+        .filter(bucket => bucket.limited)
+        .map(bucket => ({ endpoint: bucket.endpoint, limitedUntil: bucket.limitedUntil })),
+      tokens: { total: tokens.length, active: tokens.filter(token => token.status === 'active').length }
+    };
+  } catch (err) {
+    return { active: false, error: err.message };
+  }
+}
+
+// 503 only when MongoDB is unreachable; an active X rate limit degrades ingestion but the API still serves
+router.get('/health', async (req, res) => {
+  const mongoOk = await pingMongo();
+  const rateLimit = rateLimitState();
+
+  res.status(mongoOk ? 200 : 503).json({
+    status: !mongoOk ? 'down' : rateLimit.active || rateLimit.error ? 'degraded' : 'ok',
+    uptimeSeconds: Math.round(process.uptime()),
+    mongo: {
+      state: MONGO_STATES[mongoose.connection.readyState] || 'unknown',
+      ping: mongoOk
+    },
+    rateLimit,
+    caches: [getProfileCacheStats()]
+  });
+});
+
+module.exports = router;
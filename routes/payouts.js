@@ -0,0 +1,136 @@
+const express = require('express');
+const PayoutSnapshot = require('../models/payoutsnapshot');
+const Project = require('../models/project');
+const { requireRole } = require('../middleware/auth');
+const { createPayoutSnapshot, getPayoutProof } = require('../services/payouts');
+const { activeProjects } = require('../services/projects');
+const { sendError, sendServerError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const { dateTime, objectId, solanaAddress, params, projectParams, pagination } = require('../middleware/schemas');
+const { createLogger } = require('../services/logger');
+
+const log = createLogger('api');
+
+const router = express.Router();
+
+function toSnapshotSummary(snapshot) {
+  return {
+    _id: snapshot._id,
+    project: snapshot.project,
+    periodStart: snapshot.periodStart,
+    periodEnd: snapshot.periodEnd,
+    merkleRoot: snapshot.merkleRoot,
+    tokenDecimals: snapshot.tokenDecimals,
+    totalBlabz: snapshot.totalBlabz,
+    totalAmount: snapshot.totalAmount,
+    walletCount: snapshot.walletCount,
+    postCount: snapshot.postCount,
+    createdBy: snapshot.createdBy,
+    createdAt: snapshot.createdAt
+  };
+}
+
+router.post('/projects/:project/payout-snapshots', requireRole('admin'), validate({
+  summary: 'Freeze unpaid blabz for a period into an immutable Merkle payout snapshot',
+  params: projectParams,
+  body: { type: 'object', properties: { from: dateTime, to: dateTime } }
+}), async (req, res) => {
+  try {
+    const projectName = req.params.project.toUpperCase();
+    const { from, to } = req.body;
+    const periodEnd = to ? new Date(to) : new Date();
+    const periodStart = from ? new Date(from) : null;
+    if (periodEnd > new Date()) {
+      return sendError(res, 400, 'to cannot be in the future');
+    }
+    if (periodStart && periodStart >= periodEnd) {
+      return sendError(res, 400, 'from must be before to');
+    }
+    if (!(await Project.exists(activeProjects({ name: projectName })))) {
+      return sendError(res, 404, 'Project not found');
+    }
+
+    log.debug(`Creating payout snapshot for ${projectName}`, { project: projectName });
+    const snapshot = await createPayoutSnapshot({
+      project: projectName,
+      from: periodStart,
+      to: periodEnd,
+      createdBy: req.apiKey.name
+    });
+    if (!snapshot) {
+      return sendError(res, 404, 'No unpaid blabz for this project and period');
+    }
+    res.json({ message: `Payout snapshot created for ${projectName}`, snapshot: toSnapshotSummary(snapshot) });
+  } catch (err) {
+    log.error('POST /projects/:project/payout-snapshots failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+router.get('/projects/:project/payout-snapshots', validate({
+  summary: 'List a project\'s payout snapshots',
+  params: projectParams
+}), async (req, res) => {
+  try {
+    const snapshots = await PayoutSnapshot.find({ project: req.params.project.toUpperCase() })
+      .select('-allocations')
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json({ snapshots: snapshots.map(toSnapshotSummary) });
+  } catch (err) {
+    log.error('GET /projects/:project/payout-snapshots failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+router.get('/payout-snapshots/:id', validate({
+  summary: 'Payout snapshot summary and paginated wallet allocations',
+  params: params({ id: objectId }),
+  query: { type: 'object', properties: pagination(100, 1000) }
+}), async (req, res) => {
+  try {
+    const snapshot = await PayoutSnapshot.findById(req.params.id).lean();
+    if (!snapshot) {
+      return sendError(res, 404, 'Payout snapshot not found');
+    }
+    const limit = parseInt(req.query.limit);
+    const page = parseInt(req.query.page);
+    res.json({
+      snapshot: toSnapshotSummary(snapshot),
+      page,
+      limit,
+      allocations: snapshot.allocations.slice((page - 1) * limit, page * limit)
+    });
+  } catch (err) {
+    log.error('GET /payout-snapshots/:id failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+router.get('/payout-snapshots/:id/proof/:wallet', validate({
+  summary: 'Merkle proof of a wallet\'s allocation for an on-chain claim',
+  params: params({ id: objectId, wallet: solanaAddress })
+}), async (req, res) => {
+  try {
+    const snapshot = await PayoutSnapshot.findById(req.params.id).lean();
+    if (!snapshot) {
+      return sendError(res, 404, 'Payout snapshot not found');
+    }
+    const claim = getPayoutProof(snapshot, req.params.wallet);
+    if (!claim) {
+      return sendError(res, 404, 'Wallet has no allocation in this snapshot');
+    }
+    res.json({
+      snapshotId: snapshot._id,
+      project: snapshot.project,
+      merkleRoot: snapshot.merkleRoot,
+      tokenDecimals: snapshot.tokenDecimals,
+      ...claim
+    });
+  } catch (err) {
+    log.error('GET /payout-snapshots/:id/proof/:wallet failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+module.exports = router;
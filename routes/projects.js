@@ -0,0 +1,337 @@
+const express = require('express');
+const Project = require('../models/project');
+const ProjectAudit = require('../models/projectaudit');
+const { requireRole, requireProjectAccess } = require('../middleware/auth');
+const { sendError, sendServerError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const { getTwitterProfile } = require('../services/profiles');
+const {
+  nonEmptyString,
+  twitterUsername: twitterUsernameSchema,
+  params,
+  projectParams,
+  pagination,
+  projectFields
+} = require('../middleware/schemas');
+const {
+  activeProjects,
+  validateProjectInput,
+  createProject,
+  updateProject,
+  deleteProject,
+  restoreProject,
+  toProjectPayload,
+  twitterProfileFields
+} = require('../services/projects');
+const { createLogger } = require('../services/logger');
+
+const log = createLogger('api');
+
+const router = express.Router();
+
+const projectAccess = requireProjectAccess(req => activeProjects({ name: req.params.project.toUpperCase() }));
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Profile fields for a newly linked Twitter account. A rate limit leaves them to the next
+// GET /project-details refresh instead of failing the write.
+async function lookupTwitterProfile(twitterUsername) {
+  try {
+    const { value: twitterUser } = await getTwitterProfile(twitterUsername);
+    return twitterUser ? { profile: twitterProfileFields(twitterUser) } : { notFound: true };
+  } catch (err) {
+    if (err.response?.status === 429) {
+      return { warning: 'Twitter profile not fetched due to Twitter API rate limit' };
+    }
+    throw err;
+  }
+}
+
+router.get('/projects', validate({
+  summary: 'List active projects, optionally filtered by a search term',
+  query: { type: 'object', properties: { search: nonEmptyString, ...pagination(20, 100) } }
+}), async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit);
+    const page = parseInt(req.query.page);
+    const filter = activeProjects();
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(req.query.search), 'i');
+      filter.$or = [{ name: pattern }, { displayName: pattern }, { twitterUsername: pattern }, { description: pattern }];
+    }
+
+    const [projects, total] = await Promise.all([
+      Project.find(filter).sort({ name: 1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Project.countDocuments(filter)
+    ]);
+    res.json({ page, limit, total, projects: projects.map(toProjectPayload) });
+  } catch (err) {
+    log.error('GET /projects failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+router.post('/projects', requireRole('admin'), validate({
+  summary: 'Create a project',
+  body: { type: 'object', required: ['name'], properties: { name: nonEmptyString, ...projectFields } }
+}), async (req, res) => {
+  try {
+    const { data, errors } = validateProjectInput(req.body, { creating: true });
+    if (errors.length) {
+      return sendError(res, 400, 'Invalid project', { code: 'VALIDATION_ERROR', fields: errors });
+    }
+    const existing = await Project.findOne({ name: data.name }).select('deletedAt').lean();
+    if (existing) {
+      return sendError(res, 409, `Project ${data.name} already exists; ${existing.deletedAt ? 'it was deleted, restore it instead' : 'use PATCH to update it'}`);
+    }
+
+    let warning;
+    if (data.twitterUsername) {
+      const lookup = await lookupTwitterProfile(data.twitterUsername);
+      if (lookup.notFound) {
+        return sendError(res, 400, 'Twitter user not found');
+      }
+      warning = lookup.warning;
+      Object.assign(data, lookup.profile, data.displayName !== undefined ? { displayName: data.displayName } : {});
+    }
+
+    const project = await createProject(data, req.apiKey);
+    res.status(201).json({ message: `Project ${project.name} added`, project: toProjectPayload(project), ...(warning && { warning }) });
+  } catch (err) {
+    log.error('POST /projects failed', { err });
+    if (err.name === 'MongoServerError' && err.code === 11000) {
+      return sendError(res, 409, 'Project already exists');
+    }
+    sendServerError(res, err);
+  }
+});
+
+router.get('/projects/:project', validate({
+  summary: 'Get an active project',
+  params: projectParams
+}), async (req, res) => {
+  try {
+    const project = await Project.findOne(activeProjects({ name: req.params.project.toUpperCase() })).lean();
+    if (!project) {
+      return sendError(res, 404, 'Project not found');
+    }
+    res.json({ project: toProjectPayload(project) });
+  } catch (err) {
+    log.error('GET /projects/:project failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+async function patchProject(req, res) {
+  try {
+    const { data, errors } = validateProjectInput(req.body);
+    if (errors.length) {
+      return sendError(res, 400, 'Invalid project', { code: 'VALIDATION_ERROR', fields: errors });
+    }
+    const existing = await Project.findOne(activeProjects({ name: req.params.project.toUpperCase() })).lean();
+    if (!existing) {
+      return sendError(res, 404, 'Project not found');
+    }
+
+    let warning;
+    if (data.twitterUsername && data.twitterUsername !== existing.twitterUsername) {
+      const lookup = await lookupTwitterProfile(data.twitterUsername);
+      if (lookup.notFound) {
+        return sendError(res, 400, 'Twitter user not found');
+      }
+      warning = lookup.warning;
+      Object.assign(data, lookup.profile, data.displayName !== undefined ? { displayName: data.displayName } : {});
+    }
+
+    const { project, changes } = await updateProject(existing, data, req.apiKey);
+    res.json({ message: `Project ${project.name} updated`, project: toProjectPayload(project), changes, ...(warning && { warning }) });
+  } catch (err) {
+    log.error(`${req.method} ${req.path} failed`, { err });
+    sendServerError(res, err);
+  }
+}
+
+const patchSchema = {
+  params: projectParams,
+  body: { type: 'object', properties: projectFields }
+};
+
+router.patch('/projects/:project', projectAccess, validate({ summary: 'Update the given project fields', ...patchSchema }), patchProject);
+// Kept for existing clients; same partial-update semantics as PATCH /projects/:project
+router.put('/project/:project', projectAccess, validate({ summary: 'Alias of PATCH /projects/{project}', ...patchSchema }), patchProject);
+
+router.delete('/projects/:project', requireRole('admin'), validate({
+  summary: 'Soft-delete a project',
+  params: projectParams
+}), async (req, res) => {
+  try {
+    const existing = await Project.findOne(activeProjects({ name: req.params.project.toUpperCase() })).lean();
+    if (!existing) {
+      return sendError(res, 404, 'Project not found');
+    }
+    const project = await deleteProject(existing, req.apiKey);
+    if (!project) {
+      return sendError(res, 404, 'Project not found');
+    }
+    res.json({ message: `Project ${project.name} deleted`, project: toProjectPayload(project) });
+  } catch (err) {
+    log.error('DELETE /projects/:project failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+router.post('/projects/:project/restore', requireRole('admin'), validate({
+  summary: 'Restore a soft-deleted project',
+  params: projectParams
+}), async (req, res) => {
+  try {
+    const existing = await Project.findOne({ name: req.params.project.toUpperCase(), deletedAt: { $ne: null } }).lean();
+    if (!existing) {
+      return sendError(res, 404, 'Deleted project not found');
+    }
+    const project = await restoreProject(existing, req.apiKey);
+    if (!project) {
+      return sendError(res, 404, 'Deleted project not found');
+    }
+    res.json({ message: `Project ${project.name} restored`, project: toProjectPayload(project) });
+  } catch (err) {
+    log.error('POST /projects/:project/restore failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+router.get('/projects/:project/audit', requireProjectAccess(req => ({ name: req.params.project.toUpperCase() })), validate({
+  summary: 'Audit log of project changes with actor and field-level diff',
+  params: projectParams,
+  query: { type: 'object', properties: pagination(20, 100) }
+}), async (req, res) => {
+  try {
+    const project = await Project.findOne({ name: req.params.project.toUpperCase() }).select('_id name').lean();
+    if (!project) {
+      return sendError(res, 404, 'Project not found');
+    }
+    const limit = parseInt(req.query.limit);
+    const page = parseInt(req.query.page);
+    const [entries, total] = await Promise.all([
+      ProjectAudit.find({ projectId: project._id }).sort({ at: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      ProjectAudit.countDocuments({ projectId: project._id })
+    ]);
+    res.json({
+      project: project.name,
+      page,
+      limit,
+      total,
+      entries: entries.map(entry => ({
+        _id: entry._id,
+        action: entry.action,
+        actor: entry.actor,
+        changes: entry.changes,
+        at: entry.at
+      }))
+    });
+  } catch (err) {
+    log.error('GET /projects/:project/audit failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+// Kept for existing clients: creates or partially updates the project linked to a Twitter account
+router.post('/projects/:twitterUsername', requireProjectAccess(req => activeProjects({ twitterUsername: req.params.twitterUsername })), validate({
+  summary: 'Create or update the project linked to a Twitter account (kept for existing clients)',
+  params: params({ twitterUsername: twitterUsernameSchema }),
+  body: { type: 'object', properties: { name: nonEmptyString, ...projectFields } }
+}), async (req, res) => {
+  try {
+    const { twitterUsername } = req.params;
+    const existing = await Project.findOne(activeProjects({ twitterUsername })).lean();
+    const input = { ...req.body };
+    if (existing && input.name !== undefined && input.name.toUpperCase() === existing.name) {
+      delete input.name;
+    }
+    const { data, errors } = validateProjectInput(input, { creating: !existing });
+    if (errors.length) {
+      return sendError(res, 400, 'Invalid project', { code: 'VALIDATION_ERROR', fields: errors });
+    }
+    if (!existing && await Project.exists({ name: data.name })) {
+      return sendError(res, 409, `Project name ${data.name} is already taken, please choose a unique project name`);
+    }
+
+    let twitterUser;
+    try {
+      ({ value: twitterUser } = await getTwitterProfile(twitterUsername));
+      if (!twitterUser) {
+        return sendError(res, 404, 'Twitter user not found');
+      }
+    } catch (err) {
+      if (err.response?.status !== 429) throw err;
+      if (existing) {
+        log.warn('Rate limited, serving cached project', { project: existing.name });
+        return res.json({
+          message: `Project ${existing.name} retrieved from cache`,
+          project: toProjectPayload(existing),
+          warning: 'Using cached data due to Twitter API rate limit'
+        });
+      }
+      return sendError(res, 503, 'Service temporarily unavailable: Twitter API rate limit exceeded, no cached data available');
+    }
+    Object.assign(data, twitterProfileFields(twitterUser));
+
+    let project;
+    if (existing) {
+      ({ project } = await updateProject(existing, data, req.apiKey));
+    } else {
+      project = await createProject(data, req.apiKey);
+    }
+    res.json({ message: `Project ${project.name} saved/updated`, project: toProjectPayload(project) });
+  } catch (err) {
+    log.error('POST /projects/:twitterUsername failed', { err });
+    if (err.name === 'MongoServerError' && err.code === 11000) {
+      return sendError(res, 409, 'Project name is already taken');
+    }
+    sendServerError(res, err);
+  }
+});
+
+// Read-only apart from the profile cache refreshing the stored Twitter profile
+router.get('/project-details/:project', validate({
+  summary: 'Get a project by Twitter username, refreshing its Twitter profile when stale',
+  params: params({ project: twitterUsernameSchema })
+}), async (req, res) => {
+  try {
+    const { project } = req.params;
+    const dbProject = await Project.findOne(activeProjects({ twitterUsername: project })).lean();
+    if (!dbProject) {
+      return sendError(res, 404, 'Project not found');
+    }
+
+    let profile;
+    try {
+      profile = await getTwitterProfile(dbProject.twitterUsername);
+    } catch (err) {
+      if (err.response?.status === 429) {
+        if (dbProject.userId) {
+          log.warn('Rate limited, serving cached project', { project: dbProject.name });
+          return res.json({ ...toProjectPayload(dbProject), warning: 'Using cached data due to Twitter API rate limit' });
+        }
+        return sendError(res, 503, 'Service temporarily unavailable: Twitter API rate limit exceeded, no cached data available');
+      }
+      throw err;
+    }
+    if (!profile.value) {
+      return sendError(res, 404, 'Twitter user not found for project');
+    }
+
+    // Loads are written through to the project by the profile cache, so only the response needs the merge
+    res.json({
+      ...toProjectPayload({ ...dbProject, ...twitterProfileFields(profile.value) }),
+      ...(profile.status === 'fallback' && { warning: 'Using cached data due to Twitter API rate limit' })
+    });
+  } catch (err) {
+    log.error('GET /project-details failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const express = require('express');
+const ScoringModel = require('../models/scoringmodel');
+const Project = require('../models/project');
+const { requireRole } = require('../middleware/auth');
+const { DEFAULT_SCORING_MODEL, findScoringModel, validateScoringModel } = require('../services/scoring');
+const { activeProjects, updateProject } = require('../services/projects');
+const { sendError, sendServerError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const { params, projectParams } = require('../middleware/schemas');
+const { createLogger } = require('../services/logger');
+
+const log = createLogger('api');
+
+const router = express.Router();
+
+const weight = { type: 'number', minimum: 0 };
+
+function weightGroup(...keys) {
+  return { type: 'object', properties: Object.fromEntries(keys.map(key => [key, weight])) };
+}
+
+const scoringModelBody = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$' },
+    description: { type: 'string' },
+    weights: weightGroup('base', 'length', 'engagement'),
+    engagement: weightGroup('like', 'retweet', 'quote'),
+    length: weightGroup('offset', 'range'),
+    caps: weightGroup('length', 'engagement', 'blabzPerPost'),
+    pointsPerBlabz: weight
+  }
+};
+
+router.get('/scoring-models', validate({ summary: 'Latest version of every scoring model' }), async (req, res) => {
+  try {
+    const latest = await ScoringModel.aggregate([
+      { $sort: { name: 1, version: -1 } },
+      { $group: { _id: '$name', model: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$model' } },
+      { $sort: { name: 1 } }
+    ]);
+    const models = latest.some(model => model.name === DEFAULT_SCORING_MODEL.name)
+      ? latest
+      : [DEFAULT_SCORING_MODEL, ...latest];
+    res.json({ models });
+  } catch (err) {
+    log.error('GET /scoring-models failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+router.get('/scoring-models/:name', validate({
+  summary: 'All versions of a scoring model',
+  params: params({ name: scoringModelBody.properties.name })
+}), async (req, res) => {
+  try {
+    const versions = await ScoringModel.find({ name: req.params.name }).sort({ version: -1 }).lean();
+    if (!versions.length && req.params.name !== DEFAULT_SCORING_MODEL.name) {
+      return sendError(res, 404, 'Scoring model not found');
+    }
+    res.json({
+      name: req.params.name,
+      versions: versions.length ? versions : [DEFAULT_SCORING_MODEL]
+    });
+  } catch (err) {
+    log.error('GET /scoring-models/:name failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+// Every POST saves a new version; existing versions are never edited so scored posts stay auditable
+router.post('/scoring-models', requireRole('admin'), validate({
+  summary: 'Save a new version of a scoring model',
+  body: scoringModelBody
+}), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const { model, errors } = validateScoringModel(req.body);
+    if (errors.length) {
+      return sendError(res, 400, 'Invalid scoring model', { code: 'VALIDATION_ERROR', fields: errors });
+    }
+
+    const latest = await findScoringModel(name);
+    // The built-in default counts as version 1 until a stored version replaces it
+    const version = latest ? latest.version + 1 : 1;
+    const scoringModel = await ScoringModel.create({
+      ...model,
+      name,
+      version,
+      description: description || '',
+      createdBy: req.apiKey.name
+    });
+    log.info(`Scoring model ${name} v${version} created`, { model: name, version, actor: req.apiKey.name });
+    res.json({ message: `Scoring model ${name} v${version} created`, model: scoringModel });
+  } catch (err) {
+    log.error('POST /scoring-models failed', { err });
+    if (err.name === 'MongoServerError' && err.code === 11000) {
+      return sendError(res, 409, 'Scoring model version already exists, retry');
+    }
+    sendServerError(res, err);
+  }
+});
+
+router.put('/project/:project/scoring-model', requireRole('admin'), validate({
+  summary: 'Assign a scoring model version (null for latest) to a project',
+  params: projectParams,
+  body: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: scoringModelBody.properties.name,
+      version: { type: ['integer', 'null'], minimum: 1 }
+    }
+  }
+}), async (req, res) => {
+  try {
+    const { name, version } = req.body;
+    const model = await findScoringModel(name, version || null);
+    if (!model) {
+      return sendError(res, 404, 'Scoring model not found');
+    }
+
+    const existing = await Project.findOne(activeProjects({ name: req.params.project.toUpperCase() })).lean();
+    if (!existing) {
+      return sendError(res, 404, 'Project not found');
+    }
+    const { project } = await updateProject(existing, { scoringModel: { name, version: version || null } }, req.apiKey);
+    log.debug(`Project ${project.name} assigned scoring model ${name}@${version || 'latest'}`, { project: project.name, model: name, version });
+    res.json({
+      message: `Project ${project.name} now scores with ${name}@${version || 'latest'}`,
+      scoringModel: project.scoringModel
+    });
+  } catch (err) {
+    log.error('PUT /project/:project/scoring-model failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+module.exports = router;
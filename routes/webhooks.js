@@ -0,0 +1,152 @@
+const express = require('express');
+const crypto = require('crypto');
+const Project = require('../models/project');
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookdelivery');
+const { requireProjectAccess } = require('../middleware/auth');
+const { WEBHOOK_EVENTS, checkWebhookUrl } = require('../services/webhooks');
+const { activeProjects } = require('../services/projects');
+const { sendError, sendServerError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const { nonEmptyString, objectId, params, projectParams } = require('../middleware/schemas');
+const { createLogger } = require('../services/logger');
+
+const log = createLogger('api');
+
+const router = express.Router();
+
+const projectAccess = requireProjectAccess(req => ({ name: req.params.project.toUpperCase() }));
+
+function toWebhookPayload(webhook) {
+  return {
+    _id: webhook._id,
+    project: webhook.project,
+    url: webhook.url,
+    events: webhook.events,
+    active: webhook.active,
+    createdBy: webhook.createdBy,
+    createdAt: webhook.createdAt
+  };
+}
+
+const webhookParams = params({ project: nonEmptyString, id: objectId });
+
+async function findWebhook(req, res) {
+  const webhook = await Webhook.findOne({ _id: req.params.id, project: req.params.project.toUpperCase() }).lean();
+  if (!webhook) {
+    sendError(res, 404, 'Webhook not found');
+    return null;
+  }
+  return webhook;
+}
+
+router.post('/projects/:project/webhooks', projectAccess, validate({
+  summary: 'Subscribe a URL to signed post events for a project',
+  params: projectParams,
+  body: {
+    type: 'object',
+    required: ['url'],
+    properties: {
+      url: { type: 'string', format: 'uri' },
+      events: { type: 'array', minItems: 1, items: { type: 'string', enum: WEBHOOK_EVENTS } },
+      secret: { type: 'string', minLength: 16 }
+    }
+  }
+}), async (req, res) => {
+  try {
+    const projectName = req.params.project.toUpperCase();
+    const { url, events, secret } = req.body;
+    const subscribed = events === undefined ? WEBHOOK_EVENTS : events;
+    if (!(await Project.exists(activeProjects({ name: projectName })))) {
+      return sendError(res, 404, 'Project not found');
+    }
+    const urlProblem = await checkWebhookUrl(url);
+    if (urlProblem) {
+      return sendError(res, 400, 'Invalid webhook URL', { code: 'VALIDATION_ERROR', fields: [{ field: 'body.url', message: urlProblem }] });
+    }
+
+    const webhook = await Webhook.create({
+      project: projectName,
+      url,
+      events: [...new Set(subscribed)],
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      createdBy: req.apiKey.name
+    });
+    log.info(`Webhook created for ${projectName}`, { webhookId: webhook._id, project: projectName, actor: req.apiKey.name });
+    // The secret is only returned on creation
+    res.json({ message: `Webhook added for ${projectName}`, webhook: toWebhookPayload(webhook), secret: webhook.secret });
+  } catch (err) {
+    log.error('POST /projects/:project/webhooks failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+router.get('/projects/:project/webhooks', projectAccess, validate({
+  summary: 'List a project\'s webhooks',
+  params: projectParams
+}), async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ project: req.params.project.toUpperCase() }).sort({ createdAt: -1 }).lean();
+    res.json({ webhooks: webhooks.map(toWebhookPayload) });
+  } catch (err) {
+    log.error('GET /projects/:project/webhooks failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+router.delete('/projects/:project/webhooks/:id', projectAccess, validate({
+  summary: 'Deactivate a webhook',
+  params: webhookParams
+}), async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+    await Webhook.updateOne({ _id: webhook._id }, { $set: { active: false } });
+    log.info('Webhook disabled', { webhookId: webhook._id, actor: req.apiKey.name });
+    res.json({ message: 'Webhook removed', webhook: toWebhookPayload({ ...webhook, active: false }) });
+  } catch (err) {
+    log.error('DELETE /projects/:project/webhooks failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+router.get('/projects/:project/webhooks/:id/deliveries', projectAccess, validate({
+  summary: 'Recent delivery attempts of a webhook',
+  params: webhookParams,
+  query: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: WebhookDelivery.schema.path('status').enumValues },
+      limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 }
+    }
+  }
+}), async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+    const limit = parseInt(req.query.limit);
+    const filter = { webhookId: webhook._id };
+    if (req.query.status) filter.status = req.query.status;
+    const deliveries = await WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+    res.json({
+      webhook: toWebhookPayload(webhook),
+      deliveries: deliveries.map(delivery => ({
+        _id: delivery._id,
+        event: delivery.event,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        responseStatus: delivery.responseStatus,
+        error: delivery.error,
+        nextAttemptAt: delivery.nextAttemptAt,
+        lastAttemptAt: delivery.lastAttemptAt,
+        deliveredAt: delivery.deliveredAt,
+        createdAt: delivery.createdAt
+      }))
+    });
+  } catch (err) {
+    log.error('GET /projects/:project/webhooks/:id/deliveries failed', { err });
+    sendServerError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,136 @@
+const CacheEntry = require('../models/cacheentry');
+const { recordCacheLookup } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const log = createLogger('cache');
+
+const DEFAULT_MAX_MEMORY_ENTRIES = 10000;
+
+// Backends only store { value, storedAt }; freshness is decided by the cache itself so both behave the same
+function createMemoryBackend({ maxEntries = DEFAULT_MAX_MEMORY_ENTRIES } = {}) {
+  const entries = new Map();
+  return {
+    name: 'memory',
+    async get(key) {
+      return entries.get(key) || null;
+    },
+    async set(key, entry) {
+      // Re-inserting keeps Map order by last write, so the first key is the oldest one to evict
+      entries.delete(key);
+      entries.set(key, entry);
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+function createMongoBackend(cacheName) {
+  return {
+    name: 'mongo',
+    async get(key) {
+      const doc = await CacheEntry.findOne({ cache: cacheName, key }).lean();
+      return doc ? { value: doc.value, storedAt: doc.storedAt } : null;
+    },
+    async set(key, entry, expiresAt) {
+      await CacheEntry.updateOne(
+        { cache: cacheName, key },
+        { $set: { value: entry.value, storedAt: entry.storedAt, expiresAt } },
+        { upsert: true }
+      );
+    },
+    async delete(key) {
+      await CacheEntry.deleteOne({ cache: cacheName, key });
+    }
+  };
+}
+
+function createBackend(type, cacheName) {
+  if (type === 'memory') return createMemoryBackend();
+  if (type === 'mongo') return createMongoBackend(cacheName);
+  throw new Error(`[Cache] Unknown cache backend: ${type}`);
+}
+
+// Read-through cache around an async loader. Entries younger than ttlMs are served as is; up to
+// staleMs past that they are still served while a single background load refreshes them. Concurrent
+// loads of the same key share one promise. A failed load falls back to whatever entry exists, however old.
+// get() resolves to { value, status } with status fresh | stale | loaded | fallback.
+function createCache({ name, loader, ttlMs, staleMs = 0, backend = 'memory', onLoad }) {
+  const store = typeof backend === 'string' ? createBackend(backend, name) : backend;
+  const inflight = new Map();
+  const stats = { fresh: 0, stale: 0, miss: 0, fallback: 0, errors: 0 };
+
+  function load(key) {
+    if (inflight.has(key)) return inflight.get(key);
+    const promise = (async () => {
+      const value = await loader(key);
+      // Misses (e.g. unknown usernames) aren't cached, so a later registration is picked up
+      if (value !== null && value !== undefined) {
+        const storedAt = new Date();
+        await store.set(key, { value, storedAt }, new Date(storedAt.getTime() + ttlMs + staleMs));
+        if (onLoad) await onLoad(key, value);
+      }
+      return value;
+    })().finally(() => inflight.delete(key));
+    inflight.set(key, promise);
+    return promise;
+  }
+
+  function count(result) {
+    stats[result]++;
+    recordCacheLookup(name, result);
+  }
+
+  async function get(key) {
+    const entry = await store.get(key);
+    const age = entry ? Date.now() - new Date(entry.storedAt).getTime() : Infinity;
+
+    if (age < ttlMs) {
+      count('fresh');
+      return { value: entry.value, status: 'fresh' };
+    }
+    if (age < ttlMs + staleMs) {
+      count('stale');
+      load(key).catch(err => {
+        stats.errors++;
+        log.warn(`Background refresh of ${name} ${key} failed`, { cache: name, key, err });
+      });
+      return { value: entry.value, status: 'stale' };
+    }
+
+    count('miss');
+    try {
+      return { value: await load(key), status: 'loaded' };
+    } catch (err) {
+      stats.errors++;
+      if (!entry) throw err;
+      count('fallback');
+      log.warn(`Serving expired ${name} entry after failed load`, { cache: name, key, err });
+      return { value: entry.value, status: 'fallback', error: err };
+    }
+  }
+
+  function invalidate(key) {
+    return store.delete(key);
+  }
+
+  function getStats() {
+    const lookups = stats.fresh + stats.stale + stats.miss;
+    return {
+      name,
+      backend: store.name,
+      ttlSeconds: ttlMs / 1000,
+      staleSeconds: staleMs / 1000,
+      ...stats,
+      inflight: inflight.size,
+      hitRate: lookups ? Math.round(((stats.fresh + stats.stale) / lookups) * 10000) / 10000 : null
+    };
+  }
+
+  return { get, invalidate, getStats };
+}
+
+module.exports = { createCache, createMemoryBackend, createMongoBackend };
@@ -0,0 +1,172 @@
+const Campaign = require('../models/campaign');
+const Post = require('../models/post');
+const CampaignContribution = require('../models/campaigncontribution');
+const { createLogger } = require('./logger');
+
+const log = createLogger('campaigns');
+
+const MAX_CAP_ATTEMPTS = 3;
+// Blabz are kept to 4 decimals; this absorbs float drift in a contribution summed with $inc
+const CAP_TOLERANCE = 1e-6;
+
+function roundBlabz(value) {
+  return parseFloat(value.toFixed(4));
+}
+
+function hasRequiredHashtags(campaign, hashtags) {
+  const tags = new Set(hashtags.map(tag => tag.toLowerCase()));
+  return campaign.requiredHashtags.every(tag => tags.has(tag.toLowerCase()));
+}
+
+// Takes up to `amount` from the campaign budget in one atomic update and returns what was granted
+async function drawFromBudget(campaignId, amount) {
+  const campaign = await Campaign.findOneAndUpdate(
+    { _id: campaignId, $expr: { $lt: ['$spent', '$budget'] } },
+    [{
+      $set: {
+        lastDraw: { $subtract: [{ $min: ['$budget', { $add: ['$spent', amount] }] }, '$spent'] },
+        spent: { $min: ['$budget', { $add: ['$spent', amount] }] },
+        updatedAt: '$$NOW'
+      }
+    }],
+    { new: true }
+  ).lean();
+  return campaign ? roundBlabz(campaign.lastDraw) : 0;
+}
+
+async function releaseDraw(campaignId, amount) {
+  await Campaign.updateOne({ _id: campaignId }, { $inc: { spent: -amount }, $set: { updatedAt: new Date() } });
+}
+
+function contributionUpdate(postData, drawn) {
+  return {
+    $set: { username: postData.username, SOL_ID: postData.SOL_ID || '', updatedAt: new Date() },
+    $inc: { blabz: drawn, posts: 1 }
+  };
+}
+
+// Adds the draw to the user's contribution only while it stays within the cap. A contribution that
+// is already too high makes the filter miss, and the upsert then collides with it on the unique index.
+async function recordCappedContribution(campaign, postData, drawn) {
+  try {
+    await CampaignContribution.findOneAndUpdate(
+      { campaignId: campaign._id, userId: postData.userId, blabz: { $lte: campaign.perUserCap - drawn + CAP_TOLERANCE } },
+      contributionUpdate(postData, drawn),
+      { upsert: true }
+    );
+    return true;
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return false;
+  }
+}
+
+// The cap is checked up front to size the draw, then enforced by the contribution update itself, so
+// concurrent ingestions of the same user can't both pass the check; a draw that loses the race is
+// returned to the budget and retried against the new total.
+async function drawForPost(campaign, postData, amount) {
+  if (!(campaign.perUserCap > 0)) {
+    const drawn = await drawFromBudget(campaign._id, amount);
+    if (drawn > 0) {
+      await CampaignContribution.findOneAndUpdate(
+        { campaignId: campaign._id, userId: postData.userId },
+        contributionUpdate(postData, drawn),
+        { upsert: true }
+      );
+    }
+    return drawn;
+  }
+
+  for (let attempt = 0; attempt < MAX_CAP_ATTEMPTS; attempt++) {
+    const contribution = await CampaignContribution.findOne({ campaignId: campaign._id, userId: postData.userId }).lean();
+    const wanted = roundBlabz(Math.min(amount, Math.max(campaign.perUserCap - (contribution?.blabz || 0), 0)));
+    if (wanted <= 0) return 0;
+    const drawn = await drawFromBudget(campaign._id, wanted);
+    if (drawn <= 0) return 0;
+    if (await recordCappedContribution(campaign, postData, drawn)) return drawn;
+    await releaseDraw(campaign._id, drawn);
+    log.debug('Per-user cap reached concurrently, draw released', { campaign: campaign.name, userId: postData.userId, drawn });
+  }
+  return 0;
+}
+
+// Posts published inside a running campaign of a matched project are paid from that campaign's
+// budget instead of the open-ended per-project rate, capped per user. Returns updated postData.
+async function applyCampaigns(postData) {
+  if (!postData.blabz) return postData;
+
+  // A reprocessed post keeps what it already drew instead of drawing twice
+  const existing = await Post.findOne({ postId: postData.postId }).select('campaigns').lean();
+  if (existing?.campaigns?.length) {
+    return { ...postData, ...keepCampaignBlabz(existing, postData), campaigns: existing.campaigns };
+  }
+
+  const campaigns = await Campaign.find({
+    project: { $in: postData.scores.map(entry => entry.project) },
+    startsAt: { $lte: postData.createdAt },
+    endsAt: { $gte: postData.createdAt }
+  }).sort({ endsAt: 1 }).lean();
+  if (!campaigns.length) return postData;
+
+  const allocations = [];
+  const scores = [];
+  for (const entry of postData.scores) {
+    const campaign = campaigns.find(candidate => candidate.project === entry.project && hasRequiredHashtags(candidate, postData.hashtags));
+    if (!campaign) {
+      scores.push(entry);
+      continue;
+    }
+    const drawn = await drawForPost(campaign, postData, entry.blabz);
+    allocations.push({ campaignId: campaign._id, project: entry.project, blabz: drawn });
+    scores.push({ ...entry, blabz: drawn });
+    log.debug(`Post drew from campaign ${campaign.name}`, { postId: postData.postId, campaign: campaign.name, drawn, requested: entry.blabz });
+  }
+  if (!allocations.length) return postData;
+
+  return {
+    ...postData,
+    scores,
+    blabz: roundBlabz(scores.reduce((sum, entry) => sum + entry.blabz, 0)),
+    campaigns: allocations
+  };
+}
+
+// Gives a post's draws back to the campaign budgets and to the author's contributions, so a post
+// that turns out not to earn anything (a confirmed duplicate) doesn't keep budget others could use
+async function releaseCampaigns(post) {
+  for (const allocation of post.campaigns || []) {
+    if (!(allocation.blabz > 0)) continue;
+    await releaseDraw(allocation.campaignId, allocation.blabz);
+    await CampaignContribution.updateOne(
+      { campaignId: allocation.campaignId, userId: post.userId },
+      { $inc: { blabz: -allocation.blabz, posts: -1 }, $set: { updatedAt: new Date() } }
+    );
+    log.debug('Released campaign draw', { postId: post.postId, campaignId: allocation.campaignId, blabz: allocation.blabz });
+  }
+}
+
+// Budget already drawn is final: re-scoring updates the score but keeps campaign-funded blabz
+function keepCampaignBlabz(post, scored) {
+  if (!post.campaigns?.length) return scored;
+  const drawnByProject = new Map(post.campaigns.map(allocation => [allocation.project, allocation.blabz]));
+  const scores = scored.scores.map(entry => (drawnByProject.has(entry.project) ? { ...entry, blabz: drawnByProject.get(entry.project) } : entry));
+  return {
+    ...scored,
+    scores,
+    blabz: roundBlabz(scores.reduce((sum, entry) => sum + entry.blabz, 0))
+  };
+}
+
+function campaignStatus(campaign, now = new Date()) {
+  if (now < campaign.startsAt) return 'scheduled';
+  if (campaign.spent >= campaign.budget) return 'exhausted';
+  if (now > campaign.endsAt) return 'ended';
+  return 'active';
+}
+
+module.exports = {
+  applyCampaigns,
+  releaseCampaigns,
+  keepCampaignBlabz,
+  campaignStatus
+};
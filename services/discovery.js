@@ -0,0 +1,158 @@
+const Lead = require('../models/lead');
+const LeadMention = require('../models/leadmention');
+const Project = require('../models/project');
+const User = require('../models/user');
+const { ENDPOINTS, isRateLimited, getRateLimitUntil, searchRecentTweets, nextCursor } = require('./twitter');
+const { processTweets } = require('./ingest');
+const { matchProjects } = require('./matcher');
+const { activeProjects } = require('./projects');
+const { createLogger } = require('./logger');
+
+const log = createLogger('discovery');
+
+const MAX_QUERY_LENGTH = 512;
+const MAX_LEAD_TWEET_IDS = 50;
+
+function quoteTerm(term) {
+  return /\s/.test(term) ? `"${term.replace(/"/g, '')}"` : term;
+}
+
+// Builds an X search query from the project's name, keywords and handle. The query is
+// deliberately broad; every hit is re-checked against the project's match rules.
+function buildSearchQuery(project) {
+  const rules = project.matchRules || {};
+  const terms = [
+    project.name,
+    ...(project.keywords || []),
+    ...(rules.words || []),
+    ...(rules.phrases || []),
+    ...(rules.cashtags || []).map(tag => `$${tag}`),
+    ...(rules.hashtags || []).map(tag => `#${tag}`)
+  ]
+    .filter(Boolean)
+    .map(term => quoteTerm(term.trim()));
+  if (project.twitterUsername) {
+    terms.push(`@${project.twitterUsername}`);
+  }
+
+  const suffix = ' -is:retweet';
+  const included = [];
+  for (const term of [...new Set(terms)]) {
+    const candidate = `(${[...included, term].join(' OR ')})${suffix}`;
+    if (candidate.length > MAX_QUERY_LENGTH) break;
+    included.push(term);
+  }
+  return included.length ? `(${included.join(' OR ')})${suffix}` : null;
+}
+
+// A mention is claimed in LeadMention before it is counted, which keeps a re-run over the same tweets
+// (after an interrupted run left the sinceId behind) from counting them twice. Resolves to whether
+// the mention was new.
+async function recordLead(project, author, tweet) {
+  const profile = {
+    username: author.username,
+    name: author.name || '',
+    profile_image_url: author.profile_image_url || '',
+    followers_count: author.public_metrics?.followers_count || 0,
+    lastSeenAt: new Date()
+  };
+  try {
+    await LeadMention.create({ project, userId: author.id, tweetId: tweet.id });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    await Lead.updateOne({ project, userId: author.id }, { $set: profile });
+    return false;
+  }
+  await Lead.updateOne(
+    { project, userId: author.id },
+    {
+      $set: profile,
+      $setOnInsert: { firstSeenAt: new Date() },
+      $inc: { mentionCount: 1 },
+      $push: { tweetIds: { $each: [tweet.id], $slice: -MAX_LEAD_TWEET_IDS } }
+    },
+    { upsert: true }
+  );
+  return true;
+}
+
+async function discoverForProject(project, dbProjects) {
+  const query = buildSearchQuery(project);
+  if (!query) {
+    return { status: 'no_query', posts: 0, leads: 0 };
+  }
+
+  log.debug(`Searching for ${project.name}`, { project: project.name, query });
+  const result = await searchRecentTweets(query, {
+    sinceId: project.discovery?.sinceId || undefined,
+    untilId: project.discovery?.untilId || undefined
+  });
+  const authors = new Map(result.users.map(user => [user.id, user]));
+  const registered = await User.find({ userId: { $in: [...authors.keys()] } }).lean();
+  const registeredById = new Map(registered.map(user => [user.userId, user]));
+
+  const tweetsByUser = new Map();
+  let leads = 0;
+  for (const tweet of result.tweets) {
+    if (registeredById.has(tweet.author_id)) {
+      if (!tweetsByUser.has(tweet.author_id)) tweetsByUser.set(tweet.author_id, []);
+      tweetsByUser.get(tweet.author_id).push(tweet);
+      continue;
+    }
+    const author = authors.get(tweet.author_id);
+    if (author && matchProjects(tweet.text, [project]).length) {
+      if (await recordLead(project.name.toUpperCase(), author, tweet)) leads++;
+    }
+  }
+
+  let posts = 0;
+  for (const [userId, tweets] of tweetsByUser) {
+    const userDoc = registeredById.get(userId);
+    const author = authors.get(userId);
+    const twitterUser = {
+      id: userId,
+      username: author?.username || userDoc.username,
+      public_metrics: author?.public_metrics || { followers_count: userDoc.followers_count || 0 }
+    };
+    const saved = await processTweets({ userDoc, twitterUser, tweets, dbProjects, source: 'search' });
+    posts += saved.length;
+  }
+
+  const next = nextCursor(project.discovery, result);
+  await Project.updateOne({ _id: project._id }, {
+    $set: {
+      'discovery.sinceId': next.sinceId,
+      'discovery.untilId': next.untilId,
+      'discovery.pendingSinceId': next.pendingSinceId,
+      'discovery.lastRunAt': new Date(),
+      'discovery.lastStatus': result.interrupted ? 'interrupted' : 'ok'
+    }
+  });
+  return { status: 'ok', posts, leads };
+}
+
+async function runDiscovery() {
+  const dbProjects = await Project.find(activeProjects()).lean();
+  log.info('Starting discovery run', { projects: dbProjects.length });
+  // Least recently searched projects first, so a run cut short by the rate limit resumes where it stopped
+  const ordered = [...dbProjects].sort((a, b) => (a.discovery?.lastRunAt || 0) - (b.discovery?.lastRunAt || 0));
+  for (const project of ordered) {
+    if (isRateLimited(ENDPOINTS.RECENT_SEARCH)) {
+      log.warn('Rate limit active, stopping run', { limitedUntil: getRateLimitUntil(ENDPOINTS.RECENT_SEARCH) });
+      break;
+    }
+    try {
+      const { status, posts, leads } = await discoverForProject(project, dbProjects);
+      log.info(`Discovery finished for ${project.name}`, { project: project.name, posts, leads, status });
+    } catch (err) {
+      const status = err.response?.status === 429 ? 'rate_limited' : 'error';
+      await Project.updateOne(
+        { _id: project._id },
+        { $set: { 'discovery.lastRunAt': new Date(), 'discovery.lastStatus': status } }
+      );
+      log.error(`Discovery failed for ${project.name}`, { project: project.name, err });
+    }
+  }
+}
+
+module.exports = { buildSearchQuery, runDiscovery };
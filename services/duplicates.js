@@ -0,0 +1,109 @@
+const Post = require('../models/post');
+const { BAND_COUNT, fingerprintText, hammingDistance } = require('./fingerprint');
+
+const DEFAULT_LOOKBACK_DAYS = 14;
+const MAX_CANDIDATES = 500;
+
+function duplicateSettings() {
+  return {
+    // Distances above BAND_COUNT - 1 can't be found through the band index
+    maxDistance: Math.min(parseInt(process.env.DUPLICATE_MAX_DISTANCE) || BAND_COUNT - 1, BAND_COUNT - 1),
+    lookbackDays: parseFloat(process.env.DUPLICATE_LOOKBACK_DAYS) || DEFAULT_LOOKBACK_DAYS,
+    action: process.env.DUPLICATE_ACTION === 'flag' ? 'flag' : 'zero'
+  };
+}
+
+// Looks for the closest earlier post by a different user. Returns the fingerprint to store on
+// the post and, when it is a near-duplicate, the duplicate record.
+async function findDuplicate({ text, userId, postId, createdAt }) {
+  const fingerprint = fingerprintText(text);
+  const { maxDistance, lookbackDays } = duplicateSettings();
+
+  const candidates = await Post.find({
+    postId: { $ne: postId },
+    userId: { $ne: userId },
+    createdAt: { $gte: new Date(createdAt.getTime() - lookbackDays * 24 * 60 * 60 * 1000), $lte: createdAt },
+    $or: [
+      { 'fingerprint.textHash': fingerprint.textHash },
+      { 'fingerprint.bands': { $in: fingerprint.bands } }
+    ]
+  })
+    .select('postId userId createdAt fingerprint duplicate')
+    .sort({ createdAt: 1 })
+    .limit(MAX_CANDIDATES)
+    .lean();
+
+  let best = null;
+  for (const candidate of candidates) {
+    const distance = candidate.fingerprint.textHash === fingerprint.textHash
+      ? 0
+      : hammingDistance(candidate.fingerprint.simhash, fingerprint.simhash);
+    if (distance <= maxDistance && (!best || distance < best.distance)) {
+      best = { candidate, distance };
+    }
+  }
+  if (!best) {
+    return { fingerprint, duplicate: null };
+  }
+
+  return {
+    fingerprint,
+    duplicate: {
+      flagged: true,
+      // Clusters are keyed by the earliest original so copies of copies end up together
+      clusterId: best.candidate.duplicate?.clusterId || best.candidate.postId,
+      matchedPostId: best.candidate.postId,
+      distance: best.distance,
+      flaggedAt: new Date()
+    }
+  };
+}
+
+function withholdScores(postData, record) {
+  return {
+    ...postData,
+    score: 0,
+    blabz: 0,
+    scores: postData.scores.map(entry => ({ ...entry, score: 0, blabz: 0 })),
+    duplicate: {
+      ...record,
+      withheld: { score: postData.score, blabz: postData.blabz, scores: postData.scores }
+    }
+  };
+}
+
+// Applies DUPLICATE_ACTION to a freshly scored post: in zero mode the computed score is withheld
+// (kept for review) and the post earns nothing
+function applyDuplicateAction(postData, duplicate) {
+  const { action } = duplicateSettings();
+  const record = { ...duplicate, action, reviewStatus: 'pending' };
+  return action === 'zero' ? withholdScores(postData, record) : { ...postData, duplicate: record };
+}
+
+// Re-ingesting a post (a reprocess, or new thread parts) must not undo a review: a confirmed duplicate
+// stays zeroed and a dismissed one keeps its score, whatever the new match says. An unreviewed flag
+// follows the new match; `stale` says a flag that no longer matches has to be removed from the post.
+function resolveDuplicate(postData, duplicate, previous) {
+  const reviewStatus = previous?.flagged ? previous.reviewStatus : null;
+  if (reviewStatus === 'dismissed') {
+    return { postData: { ...postData, duplicate: previous }, stale: false };
+  }
+  if (reviewStatus === 'confirmed') {
+    return { postData: withholdScores(postData, { ...previous, action: 'zero' }), stale: false };
+  }
+  if (duplicate) {
+    return { postData: applyDuplicateAction(postData, duplicate), stale: false };
+  }
+  return { postData, stale: Boolean(previous?.flagged) };
+}
+
+function isZeroedDuplicate(post) {
+  return Boolean(post.duplicate?.flagged && post.duplicate.action === 'zero' && post.duplicate.reviewStatus !== 'dismissed');
+}
+
+module.exports = {
+  findDuplicate,
+  applyDuplicateAction,
+  resolveDuplicate,
+  isZeroedDuplicate
+};
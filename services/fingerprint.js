@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+
+const SHINGLE_SIZE = 5;
+const SIMHASH_BITS = 64n;
+const BAND_COUNT = 8;
+const BAND_BITS = SIMHASH_BITS / BigInt(BAND_COUNT);
+
+// Strips what copy-paste campaigns tend to vary: case, links, mentions, punctuation and spacing
+function normalizeText(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[̀-ͯ]/g, '')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/@\w+/g, ' ')
+    .replace(/[^\p{L}\p{N}$#]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function shingles(normalized) {
+  if (normalized.length <= SHINGLE_SIZE) {
+    return normalized ? [normalized] : [];
+  }
+  const result = new Set();
+  for (let i = 0; i <= normalized.length - SHINGLE_SIZE; i++) {
+    result.add(normalized.slice(i, i + SHINGLE_SIZE));
+  }
+  return [...result];
+}
+
+function hash64(value) {
+  return BigInt('0x' + crypto.createHash('sha1').update(value).digest('hex').slice(0, 16));
+}
+
+function simhash(features) {
+  const weights = new Array(Number(SIMHASH_BITS)).fill(0);
+  features.forEach(feature => {
+    const hash = hash64(feature);
+    for (let bit = 0n; bit < SIMHASH_BITS; bit++) {
+      weights[bit] += (hash >> bit) & 1n ? 1 : -1;
+    }
+  });
+  let result = 0n;
+  weights.forEach((weight, bit) => {
+    if (weight > 0) result |= 1n << BigInt(bit);
+  });
+  return result;
+}
+
+function toHex(value) {
+  return value.toString(16).padStart(Number(SIMHASH_BITS / 4n), '0');
+}
+
+// Any two hashes within BAND_COUNT - 1 bits of each other share at least one band,
+// so bands work as an index for near-duplicate candidates
+function bandsOf(hash) {
+  const bands = [];
+  const mask = (1n << BAND_BITS) - 1n;
+  for (let i = 0; i < BAND_COUNT; i++) {
+    const band = (hash >> (BigInt(i) * BAND_BITS)) & mask;
+    bands.push(`${i}:${band.toString(16)}`);
+  }
+  return bands;
+}
+
+function fingerprintText(text) {
+  const normalized = normalizeText(text);
+  const hash = simhash(shingles(normalized));
+  return {
+    textHash: crypto.createHash('sha256').update(normalized).digest('hex'),
+    simhash: toHex(hash),
+    bands: bandsOf(hash)
+  };
+}
+
+function hammingDistance(hexA, hexB) {
+  let diff = BigInt('0x' + hexA) ^ BigInt('0x' + hexB);
+  let distance = 0;
+  while (diff) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+}
+
+module.exports = {
+  BAND_COUNT,
+  normalizeText,
+  fingerprintText,
+  hammingDistance
+};
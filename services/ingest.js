@@ -0,0 +1,378 @@
+const Post = require('../models/post');
+const ProcessedPost = require('../models/processedpost');
+const Project = require('../models/project');
+const User = require('../models/user');
+const { fetchUserTimeline, nextCursor } = require('./twitter');
+const { getTwitterProfile, userProfileFields } = require('./profiles');
+const { matchProjects } = require('./matcher');
+const { scoreForProjects, resolveScoringModels } = require('./scoring');
+const { findDuplicate, resolveDuplicate, isZeroedDuplicate } = require('./duplicates');
+const { emitEvent, toWebhookPost } = require('./webhooks');
+const { applyCampaigns } = require('./campaigns');
+const { applyPaidBlabz } = require('./payouts');
+const { activeProjects } = require('./projects');
+const { sumPublicMetrics } = require('./posts');
+const { tweetsSkipped, postsScored } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const log = createLogger('ingest');
+
+function extractHashtags(text) {
+  const hashtags = [];
+  const regex = /#(\w+)/g;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    hashtags.push(match[1]);
+  }
+  return hashtags;
+}
+
+function extractMentions(text) {
+  const regex = /@(\w+)/g;
+  let mentionChars = 0;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    mentionChars += match[0].length;
+  }
+  return mentionChars;
+}
+
+// `tweet` keeps a skipped tweet around as a possible thread part; see withPendingParts
+async function markProcessed(postId, { reason, userId, username, projects = [], source = 'timeline', tweet = null }) {
+  await ProcessedPost.findOneAndUpdate(
+    { postId },
+    { postId, reason, userId, username, projects, source, conversationId: tweet?.conversation_id || null, tweet, updatedAt: new Date() },
+    { upsert: true }
+  );
+  if (reason !== 'scored') {
+    tweetsSkipped.inc({ reason, source });
+  }
+}
+
+async function saveTwitterProfile(twitterUser) {
+  const userDoc = await User.findOneAndUpdate(
+    { userId: twitterUser.id },
+    { $set: { ...userProfileFields(twitterUser), updatedAt: new Date() } },
+    { upsert: true, new: true, lean: true }
+  );
+  log.debug('Twitter profile saved', { userId: twitterUser.id, username: twitterUser.username });
+  return userDoc;
+}
+
+const THREAD_SEPARATOR = '\n\n';
+
+function compareTweetIds(a, b) {
+  const diff = BigInt(a) - BigInt(b);
+  return diff < 0n ? -1 : diff > 0n ? 1 : 0;
+}
+
+const PENDING_PART_FIELDS = ['id', 'text', 'created_at', 'public_metrics', 'referenced_tweets', 'conversation_id', 'in_reply_to_user_id'];
+
+function repliedToId(tweet) {
+  return tweet.referenced_tweets?.find(ref => ref.type === 'replied_to')?.id || null;
+}
+
+// Thread parts are the opening tweet of a conversation, the author's replies to themselves in it, and
+// the tweets those replies answer; the last rule gives a self-reply chain under someone else's
+// tweet its first reply
+function threadPartIds(tweets, userId) {
+  const ids = new Set();
+  tweets.filter(tweet => tweet.conversation_id).forEach(tweet => {
+    if (tweet.id === tweet.conversation_id) ids.add(tweet.id);
+    if (tweet.in_reply_to_user_id === userId && repliedToId(tweet)) {
+      ids.add(tweet.id);
+      ids.add(repliedToId(tweet));
+    }
+  });
+  return ids;
+}
+
+// Splits a batch into scoring units: one per conversation for thread parts (oldest tweet first),
+// one per tweet for everything else
+function groupThreads(tweets, userId) {
+  const units = [];
+  const threads = new Map();
+  const parts = threadPartIds(tweets, userId);
+  for (const tweet of tweets) {
+    if (!parts.has(tweet.id)) {
+      units.push({ conversationId: null, tweets: [tweet] });
+      continue;
+    }
+    if (!threads.has(tweet.conversation_id)) {
+      const unit = { conversationId: tweet.conversation_id, tweets: [] };
+      threads.set(tweet.conversation_id, unit);
+      units.push(unit);
+    }
+    threads.get(tweet.conversation_id).tweets.push(tweet);
+  }
+  units.forEach(unit => unit.tweets.sort((a, b) => compareTweetIds(a.id, b.id)));
+  return units;
+}
+
+// A tweet skipped on its own (a short "1/" opener, say) is stored with its ProcessedPost record, so
+// thread parts fetched in a later run can still be scored together with it. Returns the unit with the
+// pending parts that belong to it and the ids of those parts.
+async function withPendingParts(unit, userId) {
+  if (!unit.conversationId) return { unit, pendingIds: new Set() };
+  const batchIds = new Set(unit.tweets.map(tweet => tweet.id));
+  const pending = (await ProcessedPost.find({ userId, conversationId: unit.conversationId, tweet: { $ne: null } }).lean())
+    .map(record => record.tweet)
+    .filter(tweet => !batchIds.has(tweet.id));
+  const parts = threadPartIds([...pending, ...unit.tweets], userId);
+  const joined = pending.filter(tweet => parts.has(tweet.id));
+  if (!joined.length) return { unit, pendingIds: new Set() };
+  return {
+    unit: { ...unit, tweets: [...joined, ...unit.tweets].sort((a, b) => compareTweetIds(a.id, b.id)) },
+    pendingIds: new Set(joined.map(tweet => tweet.id))
+  };
+}
+
+function toPendingPart(tweet) {
+  if (!tweet.conversation_id) return null;
+  return Object.fromEntries(PENDING_PART_FIELDS.filter(field => tweet[field] !== undefined).map(field => [field, tweet[field]]));
+}
+
+// Turns a unit into the one piece of content that gets filtered and scored. Thread parts join the
+// stored thread (or the stored post of their opening tweet or of the tweet they answer) when there is
+// one: if the batch holds every stored part the thread is rebuilt from fresh tweets, otherwise the new
+// parts are appended to it.
+async function toContent(unit, userId) {
+  const [first] = unit.tweets;
+  const parentIds = unit.tweets.map(repliedToId).filter(Boolean);
+  const existing = unit.conversationId
+    ? await Post.findOne({
+      userId,
+      $or: [{ postId: { $in: [unit.conversationId, ...parentIds] } }, { 'thread.conversationId': unit.conversationId }]
+    }).lean()
+    : null;
+
+  if (!existing && unit.tweets.length === 1) {
+    return {
+      postId: first.id,
+      text: first.text,
+      public_metrics: first.public_metrics,
+      createdAt: new Date(first.created_at),
+      tweetType: first.referenced_tweets?.[0]?.type || 'main',
+      // A lone thread part keeps its conversation so parts ingested later can join it
+      thread: unit.conversationId ? { conversationId: unit.conversationId, tweetIds: [first.id] } : null,
+      existing: null
+    };
+  }
+
+  const storedIds = existing ? (existing.thread?.tweetIds?.length ? existing.thread.tweetIds : [existing.postId]) : [];
+  const batchIds = new Set(unit.tweets.map(tweet => tweet.id));
+  const rebuild = storedIds.every(id => batchIds.has(id));
+  const added = rebuild ? unit.tweets : unit.tweets.filter(tweet => !storedIds.includes(tweet.id));
+  const texts = added.map(tweet => tweet.text);
+  const tweetIds = rebuild
+    ? unit.tweets.map(tweet => tweet.id)
+    : [...storedIds, ...added.map(tweet => tweet.id)].sort(compareTweetIds);
+
+  return {
+    postId: existing ? existing.postId : first.id,
+    text: rebuild ? texts.join(THREAD_SEPARATOR) : [existing.content, ...texts].join(THREAD_SEPARATOR),
+    public_metrics: sumPublicMetrics(added, rebuild ? {} : existing),
+    createdAt: existing && !rebuild ? existing.createdAt : new Date(first.created_at),
+    tweetType: existing && !rebuild ? existing.tweetType : first.referenced_tweets?.[0]?.type || 'main',
+    thread: { conversationId: unit.conversationId, tweetIds },
+    existing
+  };
+}
+
+// Runs a batch of timeline tweets through the filter -> score -> upsert pipeline and
+// returns the post payloads that were saved. A user's self-reply threads are filtered
+// and scored as one post, so their parts don't each need to pass the length filter.
+async function processTweets({ userDoc, twitterUser, tweets, dbProjects, source = 'timeline' }) {
+  const userId = twitterUser.id;
+  const username = twitterUser.username;
+  const followersCount = twitterUser.public_metrics?.followers_count || 0;
+  const scoringModels = await resolveScoringModels(dbProjects);
+  const savedPosts = [];
+  const processed = { userId, username, source };
+
+  const candidates = [];
+  for (const tweet of tweets) {
+    if (tweet.referenced_tweets?.[0]?.type && !['quoted', 'replied_to'].includes(tweet.referenced_tweets[0].type)) {
+      log.debug('Skipping non-post/quote/reply tweet', { postId: tweet.id, username });
+      await markProcessed(tweet.id, { ...processed, reason: 'retweet' });
+      continue;
+    }
+
+    if (await ProcessedPost.findOne({ postId: tweet.id }).lean()) {
+      log.debug('Skipping already processed tweet', { postId: tweet.id, username });
+      tweetsSkipped.inc({ reason: 'already-processed', source });
+      continue;
+    }
+    candidates.push(tweet);
+  }
+
+  for (const batchUnit of groupThreads(candidates, userId)) {
+    const { unit, pendingIds } = await withPendingParts(batchUnit, userId);
+    const content = await toContent(unit, userId);
+    // Skipped tweets stay joinable by later thread parts; pending parts already are, and are only marked again once scored
+    const markUnit = fields => Promise.all(unit.tweets
+      .filter(tweet => fields.reason === 'scored' || !pendingIds.has(tweet.id))
+      .map(tweet => markProcessed(tweet.id, { ...processed, ...fields, tweet: fields.reason === 'scored' ? null : toPendingPart(tweet) })));
+
+    if (content.text.length < 51) {
+      log.debug('Skipping short tweet', { postId: content.postId, username });
+      await markUnit({ reason: 'short' });
+      continue;
+    }
+
+    if (extractMentions(content.text) / content.text.length > 0.6) {
+      log.debug('Skipping mention-heavy tweet', { postId: content.postId, username });
+      await markUnit({ reason: 'mention-heavy' });
+      continue;
+    }
+
+    const matchedProjects = matchProjects(content.text, dbProjects);
+
+    if (matchedProjects.length === 0) {
+      log.debug('Skipping tweet with no project match', { postId: content.postId, username });
+      await markUnit({ reason: 'no-project-match' });
+      continue;
+    }
+
+    const { scores, score: qualityScore, blabz: totalBlabz } = scoreForProjects(
+      { text: content.text, public_metrics: content.public_metrics },
+      followersCount,
+      matchedProjects.map(project => ({ project, model: scoringModels.get(project) }))
+    );
+
+    let postData = {
+      SOL_ID: userDoc.SOL_ID || userId,
+      DEV_ID: userDoc.DEV_ID || '',
+      userId,
+      username,
+      postId: content.postId,
+      content: content.text,
+      project: matchedProjects,
+      score: qualityScore,
+      blabz: totalBlabz,
+      scores,
+      likes: content.public_metrics?.like_count || 0,
+      retweets: content.public_metrics?.retweet_count || 0,
+      replies: content.public_metrics?.reply_count || 0,
+      quotes: content.public_metrics?.quote_count || 0,
+      hashtags: extractHashtags(content.text),
+      tweetUrl: `https://x.com/${username}/status/${content.postId}`,
+      createdAt: content.createdAt,
+      tweetType: content.tweetType,
+      source,
+      updatedAt: new Date()
+    };
+    if (content.thread) {
+      postData.thread = content.thread;
+    }
+
+    const { fingerprint, duplicate } = await findDuplicate({
+      text: content.text,
+      userId,
+      postId: content.postId,
+      createdAt: postData.createdAt
+    });
+    postData.fingerprint = fingerprint;
+    const previous = await Post.findOne({ postId: content.postId }).select('duplicate').lean();
+    const newlyFlagged = Boolean(duplicate) && !previous?.duplicate?.flagged;
+    if (newlyFlagged) {
+      log.info('Near-duplicate tweet', { postId: content.postId, matchedPostId: duplicate.matchedPostId, distance: duplicate.distance });
+    }
+    const resolved = resolveDuplicate(postData, duplicate, previous?.duplicate);
+    postData = resolved.postData;
+    // A zeroed duplicate earns nothing, campaign budget included
+    if (!isZeroedDuplicate(postData)) {
+      postData = await applyCampaigns(postData);
+    }
+    postData = await applyPaidBlabz(postData);
+
+    await Post.findOneAndUpdate(
+      { postId: content.postId },
+      {
+        $set: postData,
+        ...(resolved.stale && { $unset: { duplicate: '' } }),
+        $push: {
+          scoreHistory: {
+            at: postData.updatedAt,
+            reason: 'ingested',
+            score: postData.score,
+            blabz: postData.blabz,
+            likes: postData.likes,
+            retweets: postData.retweets,
+            replies: postData.replies,
+            quotes: postData.quotes
+          }
+        }
+      },
+      { upsert: true, new: true }
+    );
+    await markUnit({ reason: 'scored', projects: matchedProjects });
+    matchedProjects.forEach(project => postsScored.inc({ project, source }));
+    log.debug('Post saved', { postId: content.postId, username, projects: matchedProjects, source, threadTweets: content.thread?.tweetIds.length });
+    if (content.existing) {
+      // New parts of an already scored thread
+      emitEvent('post.rescored', matchedProjects, {
+        post: toWebhookPost(postData),
+        previous: { score: content.existing.score, blabz: content.existing.blabz }
+      });
+    } else {
+      emitEvent('post.scored', matchedProjects, { post: toWebhookPost(postData) });
+    }
+    if (newlyFlagged && postData.duplicate?.reviewStatus === 'pending') {
+      emitEvent('post.flagged', matchedProjects, { post: toWebhookPost(postData) });
+    }
+    savedPosts.push(postData);
+  }
+
+  return savedPosts;
+}
+
+// Fetches the user's timeline from their stored cursor, processes it and moves the cursor
+// forward to the newest tweet seen once nothing older is left to fetch.
+async function ingestTimeline({ userDoc, twitterUser, dbProjects }) {
+  const cursor = userDoc.timelineCursor || {};
+  const timeline = await fetchUserTimeline(twitterUser.id, {
+    sinceId: cursor.sinceId || undefined,
+    untilId: cursor.untilId || undefined
+  });
+  const posts = await processTweets({ userDoc, twitterUser, tweets: timeline.tweets, dbProjects });
+
+  const next = nextCursor(cursor, timeline);
+  await User.updateOne({ userId: twitterUser.id }, {
+    $set: {
+      'timelineCursor.sinceId': next.sinceId,
+      'timelineCursor.untilId': next.untilId,
+      'timelineCursor.pendingSinceId': next.pendingSinceId,
+      'timelineCursor.lastFetchedAt': new Date()
+    }
+  });
+  log.debug('Timeline cursor updated', { username: twitterUser.username, ...next });
+  return posts;
+}
+
+// Full ingestion pass for one registered user, used by the background scheduler.
+async function ingestUser(userDoc) {
+  // The cache writes refreshed profiles through to the user document, so no save is needed here
+  const { value: twitterUser } = await getTwitterProfile(userDoc.username);
+  if (!twitterUser) {
+    return { status: 'not_found', posts: [] };
+  }
+
+  const dbProjects = await Project.find(activeProjects()).lean();
+  if (!dbProjects.length) {
+    return { status: 'no_projects', posts: [] };
+  }
+
+  const posts = await ingestTimeline({ userDoc, twitterUser, dbProjects });
+  return { status: 'ok', posts };
+}
+
+module.exports = {
+  extractHashtags,
+  extractMentions,
+  groupThreads,
+  saveTwitterProfile,
+  processTweets,
+  ingestTimeline,
+  ingestUser
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REDACTED = '[REDACTED]';
+// Compared lowercased; matches anywhere in the logged fields, nested objects included
+const REDACT_KEYS = new Set(['sol_id', 'dev_id', 'authorization', 'bearertoken', 'token', 'apikey', 'x-api-key', 'secret', 'signature']);
+const MAX_DEPTH = 6;
+
+const requestContext = new AsyncLocalStorage();
+
+function currentLevel() {
+  return LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+}
+
+// Bearer tokens can reach messages through error texts or URLs, not just through keyed fields
+function redactString(value) {
+  let redacted = value.replace(/(bearer\s+)[^\s"',]+/gi, `$1${REDACTED}`);
+  [process.env.X_BEARER_TOKEN, ...(process.env.X_BEARER_TOKENS || '').split(/[\s,]+/), process.env.ADMIN_API_KEY]
+    .filter(secret => secret && secret.length >= 8)
+    .forEach(secret => {
+      redacted = redacted.split(secret).join(REDACTED);
+    });
+  return redacted;
+}
+
+function serializeError(err) {
+  return {
+    message: redactString(String(err.message || err)),
+    status: err.response?.status,
+    code: err.code,
+    stack: err.stack ? redactString(err.stack) : undefined
+  };
+}
+
+function redact(value, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value !== 'object') return value;
+  if (value instanceof Error || (value.message && value.response)) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+  if (typeof value.toHexString === 'function') return value.toHexString();
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+    key,
+    REDACT_KEYS.has(key.toLowerCase()) && field ? REDACTED : redact(field, depth + 1)
+  ]));
+}
+
+function write(level, component, message, fields) {
+  if (LEVELS[level] < currentLevel()) return;
+  const context = requestContext.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    ...context,
+    msg: redactString(message),
+    ...redact(fields || {})
+  };
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(JSON.stringify(entry) + '\n');
+}
+
+// One logger per module; every line is a single JSON object carrying the correlation ID of
+// the request or background job it was written under
+function createLogger(component) {
+  return {
+    debug: (message, fields) => write('debug', component, message, fields),
+    info: (message, fields) => write('info', component, message, fields),
+    warn: (message, fields) => write('warn', component, message, fields),
+    error: (message, fields) => write('error', component, message, fields),
+    isDebugEnabled: () => currentLevel() <= LEVELS.debug
+  };
+}
+
+function newRequestId() {
+  return crypto.randomUUID();
+}
+
+function runWithContext(context, fn) {
+  return requestContext.run({ requestId: newRequestId(), ...context }, fn);
+}
+
+function getRequestId() {
+  return requestContext.getStore()?.requestId || null;
+}
+
+module.exports = { createLogger, runWithContext, getRequestId, newRequestId, redact };
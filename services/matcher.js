@@ -0,0 +1,147 @@
+const { compileSafeRegex, UnsupportedPatternError } = require('./saferegex');
+const { createLogger } = require('./logger');
+
+const log = createLogger('matcher');
+
+const MAX_CACHED_REGEXES = 1000;
+const RULE_LISTS = ['words', 'cashtags', 'hashtags', 'phrases', 'regexes', 'exclude'];
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Boundaries on both sides so "SOL" no longer matches "solution"; "$SOL" and "#SOL" still count
+function boundedRegex(term) {
+  return new RegExp(`(?<![\\w@])${escapeRegex(term).replace(/\s+/g, '\\s+')}(?![\\w])`, 'i');
+}
+
+// Regex rules run on the linear-time engine in saferegex.js, never on RegExp: a pattern like (a+)+$
+// can't stall ingestion however it is written. Compiled programs are cached by source.
+const compiledRegexes = new Map();
+const brokenRegexes = new Set();
+
+function compileRegex(pattern) {
+  if (!compiledRegexes.has(pattern)) {
+    if (compiledRegexes.size >= MAX_CACHED_REGEXES) compiledRegexes.clear();
+    compiledRegexes.set(pattern, compileSafeRegex(pattern));
+  }
+  return compiledRegexes.get(pattern);
+}
+
+// Returns null when the pattern is usable, else why not
+function checkRegex(pattern) {
+  try {
+    compileRegex(pattern);
+    return null;
+  } catch (err) {
+    if (err instanceof UnsupportedPatternError) return err.message;
+    throw err;
+  }
+}
+
+// Patterns stored before the engine existed may use syntax it doesn't support; they are skipped
+// with one warning each rather than failing every match for the project
+function storedRegex(project, pattern) {
+  const problem = checkRegex(pattern);
+  if (!problem) return compileRegex(pattern);
+  if (!brokenRegexes.has(pattern)) {
+    brokenRegexes.add(pattern);
+    log.warn('Skipping unsupported match regex', { project: project.name, pattern, problem });
+  }
+  return null;
+}
+
+// Whole-word, cashtag or hashtag regex for a term, chosen by its prefix
+function termRegex(term) {
+  if (term.startsWith('$')) return tagRegex('$', term.slice(1));
+  if (term.startsWith('#')) return tagRegex('#', term.slice(1));
+  return boundedRegex(term);
+}
+
+function tagRegex(prefix, tag) {
+  return new RegExp(`${escapeRegex(prefix)}${escapeRegex(tag)}(?![\\w])`, 'i');
+}
+
+function normalizeTerm(list, term) {
+  const trimmed = term.trim();
+  if (list === 'cashtags') return trimmed.replace(/^\$/, '');
+  if (list === 'hashtags') return trimmed.replace(/^#/, '');
+  return trimmed;
+}
+
+// Returns { rules, errors } with rule lists trimmed and de-prefixed, ready to store on a Project
+function validateMatchRules(input) {
+  const errors = [];
+  const rules = {};
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { rules, errors: ['matchRules must be an object'] };
+  }
+  for (const list of RULE_LISTS) {
+    if (input[list] === undefined) continue;
+    if (!Array.isArray(input[list]) || input[list].some(term => typeof term !== 'string' || term.trim() === '')) {
+      errors.push(`matchRules.${list} must be an array of non-empty strings`);
+      continue;
+    }
+    rules[list] = input[list].map(term => normalizeTerm(list, term));
+  }
+  (rules.regexes || []).forEach(pattern => {
+    const problem = checkRegex(pattern);
+    if (problem) {
+      errors.push(`matchRules.regexes entry "${pattern}" is not supported: ${problem}`);
+    }
+  });
+  if (input.matchMention !== undefined) {
+    if (typeof input.matchMention !== 'boolean') {
+      errors.push('matchRules.matchMention must be a boolean');
+    } else {
+      rules.matchMention = input.matchMention;
+    }
+  }
+  return { rules, errors };
+}
+
+// The project name and legacy keywords count as whole-word terms alongside the structured rules
+function compileProjectMatcher(project) {
+  const rules = project.matchRules || {};
+  const includes = [];
+  const words = [project.name, ...(project.keywords || []), ...(rules.words || []), ...(rules.phrases || [])];
+  words.filter(Boolean).forEach(term => includes.push({ rule: `term:${term}`, regex: boundedRegex(term) }));
+  (rules.cashtags || []).map(tag => normalizeTerm('cashtags', tag)).forEach(tag => includes.push({ rule: `cashtag:$${tag}`, regex: tagRegex('$', tag) }));
+  (rules.hashtags || []).map(tag => normalizeTerm('hashtags', tag)).forEach(tag => includes.push({ rule: `hashtag:#${tag}`, regex: tagRegex('#', tag) }));
+  (rules.regexes || []).forEach(pattern => {
+    const regex = storedRegex(project, pattern);
+    if (regex) includes.push({ rule: `regex:${pattern}`, regex });
+  });
+  if (rules.matchMention && project.twitterUsername) {
+    includes.push({ rule: `mention:@${project.twitterUsername}`, regex: new RegExp(`@${escapeRegex(project.twitterUsername)}(?![\\w])`, 'i') });
+  }
+  // Excludes are whole terms like the includes, so excluding "rug" leaves "rugby" alone
+  const excludes = (rules.exclude || []).map(term => ({ rule: `exclude:${term}`, regex: termRegex(term) }));
+
+  return text => {
+    const matchedBy = includes.filter(include => include.regex.test(text)).map(include => include.rule);
+    const excludedBy = excludes.filter(exclude => exclude.regex.test(text)).map(exclude => exclude.rule);
+    return { matched: matchedBy.length > 0 && excludedBy.length === 0, matchedBy, excludedBy };
+  };
+}
+
+function explainMatches(text, projects) {
+  return projects.map(project => ({
+    project: project.name.toUpperCase(),
+    ...compileProjectMatcher(project)(text)
+  }));
+}
+
+function matchProjects(text, projects) {
+  return explainMatches(text, projects)
+    .filter(result => result.matched)
+    .map(result => result.project);
+}
+
+module.exports = {
+  checkRegex,
+  validateMatchRules,
+  compileProjectMatcher,
+  explainMatches,
+  matchProjects
+};
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+// Leaves and inner nodes are domain-separated so a node can never be replayed as a leaf.
+// Pairs are hashed in sorted order, which keeps proofs to a plain list of sibling hashes.
+const LEAF_PREFIX = Buffer.from([0]);
+const NODE_PREFIX = Buffer.from([1]);
+
+function sha256(...parts) {
+  return crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+}
+
+function u64le(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64LE(BigInt(value));
+  return buffer;
+}
+
+// sha256(0x00 || index u64 LE || wallet 32 bytes || amount u64 LE)
+function hashLeaf(index, walletBytes, amount) {
+  return sha256(LEAF_PREFIX, u64le(index), walletBytes, u64le(amount));
+}
+
+function hashPair(a, b) {
+  return Buffer.compare(a, b) <= 0 ? sha256(NODE_PREFIX, a, b) : sha256(NODE_PREFIX, b, a);
+}
+
+// Returns every layer from the leaves up to the root; an unpaired node is carried up unchanged
+function buildMerkleTree(leaves) {
+  if (!leaves.length) throw new Error('Cannot build a Merkle tree without leaves');
+  const layers = [leaves];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+  return layers;
+}
+
+function getMerkleRoot(layers) {
+  return layers[layers.length - 1][0];
+}
+
+function getMerkleProof(layers, index) {
+  const proof = [];
+  for (let level = 0; level < layers.length - 1; level++) {
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < layers[level].length) {
+      proof.push(layers[level][sibling]);
+    }
+    index = Math.floor(index / 2);
+  }
+  return proof;
+}
+
+function verifyMerkleProof(leaf, proof, root) {
+  const computed = proof.reduce((node, sibling) => hashPair(node, sibling), leaf);
+  return computed.equals(root);
+}
+
+module.exports = {
+  hashLeaf,
+  buildMerkleTree,
+  getMerkleRoot,
+  getMerkleProof,
+  verifyMerkleProof
+};
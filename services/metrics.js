@@ -0,0 +1,78 @@
+const client = require('prom-client');
+const { routeTemplate } = require('../middleware/requestlog');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'blabz_' });
+
+const twitterRequests = new client.Counter({
+  name: 'blabz_twitter_requests_total',
+  help: 'X API requests by endpoint, bearer token and HTTP status',
+  labelNames: ['endpoint', 'token', 'status'],
+  registers: [register]
+});
+
+const twitterRateLimitHits = new client.Counter({
+  name: 'blabz_twitter_rate_limit_hits_total',
+  help: 'X API responses with status 429 by endpoint and bearer token',
+  labelNames: ['endpoint', 'token'],
+  registers: [register]
+});
+
+const twitterBackoffSeconds = new client.Counter({
+  name: 'blabz_twitter_backoff_seconds_total',
+  help: 'Seconds of rate-limit backoff scheduled per endpoint and bearer token',
+  labelNames: ['endpoint', 'token'],
+  registers: [register]
+});
+
+const tweetsSkipped = new client.Counter({
+  name: 'blabz_tweets_skipped_total',
+  help: 'Tweets dropped by the ingestion filters, by reason',
+  labelNames: ['reason', 'source'],
+  registers: [register]
+});
+
+const postsScored = new client.Counter({
+  name: 'blabz_posts_scored_total',
+  help: 'Posts scored and saved, by matched project',
+  labelNames: ['project', 'source'],
+  registers: [register]
+});
+
+const cacheLookups = new client.Counter({
+  name: 'blabz_cache_lookups_total',
+  help: 'Cache lookups by cache and result (fresh, stale, miss, fallback)',
+  labelNames: ['cache', 'result'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'blabz_http_request_duration_seconds',
+  help: 'API request latency by route',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+
+function recordCacheLookup(cache, result) {
+  cacheLookups.inc({ cache, result });
+}
+
+function httpMetrics(req, res, next) {
+  const stopTimer = httpRequestDuration.startTimer();
+  res.on('finish', () => {
+    stopTimer({ method: req.method, route: routeTemplate(req), status: res.statusCode });
+  });
+  next();
+}
+
+module.exports = {
+  register,
+  twitterRequests,
+  twitterRateLimitHits,
+  twitterBackoffSeconds,
+  tweetsSkipped,
+  postsScored,
+  recordCacheLookup,
+  httpMetrics
+};
@@ -0,0 +1,78 @@
+const { authenticate } = require('../middleware/auth');
+const { errorSchema } = require('../middleware/errors');
+
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function toParameters(schema, location) {
+  if (!schema) return [];
+  return Object.entries(schema.properties || {}).map(([name, propertySchema]) => ({
+    name,
+    in: location,
+    required: location === 'path' || (schema.required || []).includes(name),
+    schema: propertySchema
+  }));
+}
+
+function toOperation(route, requestSchema, secured) {
+  const pathParams = (route.path.match(/:(\w+)/g) || []).map(param => param.slice(1));
+  const parameters = [...toParameters(requestSchema.params, 'path'), ...toParameters(requestSchema.query, 'query')];
+  // Path params without a declared schema are still part of the URL
+  pathParams
+    .filter(name => !parameters.some(parameter => parameter.in === 'path' && parameter.name === name))
+    .forEach(name => parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } }));
+
+  const errorResponse = description => ({ description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } });
+  const operation = {
+    summary: requestSchema.summary || '',
+    parameters,
+    responses: {
+      200: { description: 'OK' },
+      400: errorResponse('Invalid request'),
+      500: errorResponse('Server error')
+    }
+  };
+  if (requestSchema.body) {
+    operation.requestBody = { required: true, content: { 'application/json': { schema: requestSchema.body } } };
+  }
+  if (secured) {
+    operation.security = [{ bearerAuth: [] }, { apiKeyHeader: [] }];
+    operation.responses[401] = errorResponse('Missing or invalid API key');
+    operation.responses[403] = errorResponse('API key lacks the required role or project');
+  }
+  return operation;
+}
+
+// Walks the mounted routers and documents every route from the schema its validate()
+// middleware carries, so the document can't drift from what is actually enforced
+function buildOpenApiDocument(routers, { basePath, title, version }) {
+  const paths = {};
+  for (const router of routers) {
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+      const handlers = layer.route.stack.map(routeLayer => routeLayer.handle);
+      const requestSchema = handlers.find(handle => handle.schema)?.schema || {};
+      const secured = handlers.includes(authenticate);
+      const path = toOpenApiPath(basePath + layer.route.path);
+      for (const method of Object.keys(layer.route.methods)) {
+        paths[path] = paths[path] || {};
+        paths[path][method] = toOperation(layer.route, requestSchema, secured);
+      }
+    }
+  }
+  return {
+    openapi: '3.1.0',
+    info: { title, version },
+    paths,
+    components: {
+      schemas: { Error: errorSchema },
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer' },
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      }
+    }
+  };
+}
+
+module.exports = { buildOpenApiDocument };
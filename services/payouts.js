@@ -0,0 +1,189 @@
+const Post = require('../models/post');
+const PayoutSnapshot = require('../models/payoutsnapshot');
+const { decodeBase58 } = require('./wallet');
+const { hashLeaf, buildMerkleTree, getMerkleRoot, getMerkleProof } = require('./merkle');
+const { createLogger } = require('./logger');
+
+const log = createLogger('payouts');
+
+const DEFAULT_TOKEN_DECIMALS = 6;
+const TREE_CACHE_SIZE = 10;
+
+// Snapshots never change, so their rebuilt trees can be cached for proof lookups
+const treeCache = new Map();
+
+function tokenDecimals() {
+  const decimals = parseInt(process.env.PAYOUT_TOKEN_DECIMALS);
+  return Number.isInteger(decimals) && decimals >= 0 && decimals <= 9 ? decimals : DEFAULT_TOKEN_DECIMALS;
+}
+
+function toBaseUnits(blabz, decimals) {
+  return BigInt(blabz.toFixed(decimals).replace('.', ''));
+}
+
+function decodeWallet(SOL_ID) {
+  try {
+    const bytes = decodeBase58(SOL_ID);
+    return bytes.length === 32 ? bytes : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// This project's share of a post's blabz: its scores entry, or an even split for posts scored
+// before per-project scores existed
+function projectBlabzExpression(project) {
+  return {
+    $round: [{
+      $ifNull: [
+        { $arrayElemAt: [{ $map: { input: { $filter: { input: { $ifNull: ['$scores', []] }, cond: { $eq: ['$$this.project', project] } } }, in: '$$this.blabz' } }, 0] },
+        { $divide: ['$blabz', { $max: [{ $size: '$project' }, 1] }] }
+      ]
+    }, 4]
+  };
+}
+
+async function releasePosts(snapshotId, filter = {}) {
+  await Post.updateMany(
+    { ...filter, 'payouts.snapshotId': snapshotId },
+    { $pull: { payouts: { snapshotId } } }
+  );
+}
+
+// Claims every unpaid post of the project in the period for a new snapshot id first, then totals
+// exactly the claimed posts, so two overlapping snapshot runs can never pay the same post twice.
+// Returns null when there is nothing left to pay.
+async function createPayoutSnapshot({ project, from, to, createdBy }) {
+  const snapshotId = new PayoutSnapshot()._id;
+  const paidAt = new Date();
+  const filter = {
+    project,
+    createdAt: { $lte: to },
+    'payouts.project': { $ne: project },
+    SOL_ID: { $regex: /^[1-9A-HJ-NP-Za-km-z]{32,44}$/ },
+    // Flagged duplicates wait for review before they can be paid
+    'duplicate.reviewStatus': { $ne: 'pending' }
+  };
+  if (from) filter.createdAt.$gte = from;
+
+  const claimed = await Post.updateMany(filter, [{
+    $set: {
+      payouts: {
+        $concatArrays: [
+          { $ifNull: ['$payouts', []] },
+          [{ project, snapshotId, blabz: projectBlabzExpression(project), paidAt }]
+        ]
+      }
+    }
+  }]);
+  if (!claimed.modifiedCount) return null;
+  log.info(`Claimed ${claimed.modifiedCount} posts for ${project}`, { project, snapshotId, claimed: claimed.modifiedCount });
+
+  try {
+    const rows = await Post.aggregate([
+      { $match: { 'payouts.snapshotId': snapshotId } },
+      { $unwind: '$payouts' },
+      { $match: { 'payouts.snapshotId': snapshotId } },
+      { $group: { _id: '$SOL_ID', blabz: { $sum: '$payouts.blabz' }, postCount: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const invalidWallets = rows.filter(row => !decodeWallet(row._id)).map(row => row._id);
+    if (invalidWallets.length) {
+      log.warn(`Skipping ${invalidWallets.length} wallets that are not valid Solana addresses`, { project, snapshotId, skipped: invalidWallets.length });
+      await releasePosts(snapshotId, { SOL_ID: { $in: invalidWallets } });
+    }
+
+    const decimals = tokenDecimals();
+    const payableRows = rows
+      .filter(row => !invalidWallets.includes(row._id))
+      .map(row => ({ SOL_ID: row._id, blabz: parseFloat(row.blabz.toFixed(4)), postCount: row.postCount }))
+      .map(row => ({ ...row, amount: toBaseUnits(row.blabz, decimals) }));
+
+    // Wallets whose total rounds to nothing stay unpaid, so their blabz can count towards a later snapshot
+    const dustWallets = payableRows.filter(row => row.amount <= 0n).map(row => row.SOL_ID);
+    if (dustWallets.length) {
+      log.info(`Leaving ${dustWallets.length} wallets with a zero amount unpaid`, { project, snapshotId, skipped: dustWallets.length });
+      await releasePosts(snapshotId, { SOL_ID: { $in: dustWallets } });
+    }
+
+    const allocations = payableRows
+      .filter(row => row.amount > 0n)
+      .map((row, index) => ({ ...row, index, amount: row.amount.toString() }));
+    if (!allocations.length) {
+      await releasePosts(snapshotId);
+      return null;
+    }
+
+    const layers = buildMerkleTree(allocations.map(row => hashLeaf(row.index, decodeWallet(row.SOL_ID), row.amount)));
+    const snapshot = await PayoutSnapshot.create({
+      _id: snapshotId,
+      project,
+      periodStart: from || null,
+      periodEnd: to,
+      merkleRoot: getMerkleRoot(layers).toString('hex'),
+      tokenDecimals: decimals,
+      totalBlabz: parseFloat(allocations.reduce((sum, row) => sum + row.blabz, 0).toFixed(4)),
+      totalAmount: allocations.reduce((sum, row) => sum + BigInt(row.amount), 0n).toString(),
+      walletCount: allocations.length,
+      postCount: allocations.reduce((sum, row) => sum + row.postCount, 0),
+      allocations,
+      createdBy
+    });
+    log.info(`Snapshot created for ${project}`, { project, snapshotId, walletCount: snapshot.walletCount, merkleRoot: snapshot.merkleRoot });
+    return snapshot;
+  } catch (err) {
+    log.error('Snapshot failed, releasing claimed posts', { project, snapshotId, err });
+    await releasePosts(snapshotId);
+    throw err;
+  }
+}
+
+function snapshotTree(snapshot) {
+  const key = snapshot._id.toString();
+  if (!treeCache.has(key)) {
+    if (treeCache.size >= TREE_CACHE_SIZE) {
+      treeCache.delete(treeCache.keys().next().value);
+    }
+    treeCache.set(key, buildMerkleTree(snapshot.allocations.map(row => hashLeaf(row.index, decodeWallet(row.SOL_ID), row.amount))));
+  }
+  return treeCache.get(key);
+}
+
+function getPayoutProof(snapshot, SOL_ID) {
+  const allocation = snapshot.allocations.find(row => row.SOL_ID === SOL_ID);
+  if (!allocation) return null;
+  const layers = snapshotTree(snapshot);
+  return {
+    index: allocation.index,
+    SOL_ID: allocation.SOL_ID,
+    blabz: allocation.blabz,
+    amount: allocation.amount,
+    leaf: layers[0][allocation.index].toString('hex'),
+    proof: getMerkleProof(layers, allocation.index).map(node => node.toString('hex'))
+  };
+}
+
+// Blabz already frozen into a snapshot must not move when a post is re-scored later
+function keepPaidBlabz(post, scored) {
+  if (!post.payouts?.length) return scored;
+  const paidByProject = new Map(post.payouts.map(payout => [payout.project, payout.blabz]));
+  const scores = scored.scores.map(entry => (paidByProject.has(entry.project) ? { ...entry, blabz: paidByProject.get(entry.project) } : entry));
+  return {
+    ...scored,
+    scores,
+    blabz: parseFloat(scores.reduce((sum, entry) => sum + entry.blabz, 0).toFixed(4))
+  };
+}
+
+async function applyPaidBlabz(postData) {
+  const existing = await Post.findOne({ postId: postData.postId }).select('payouts').lean();
+  return existing ? { ...postData, ...keepPaidBlabz(existing, postData) } : postData;
+}
+
+module.exports = {
+  createPayoutSnapshot,
+  getPayoutProof,
+  keepPaidBlabz,
+  applyPaidBlabz
+};
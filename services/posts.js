@@ -0,0 +1,54 @@
+// Shape of a post as returned by GET /posts/:username; exports reuse the same columns
+const POST_FIELDS = [
+  'SOL_ID', 'DEV_ID', 'userId', 'username', 'postId', 'content', 'project', 'score', 'blabz',
+  'scores', 'likes', 'retweets', 'replies', 'hashtags', 'tweetUrl', 'createdAt', 'tweetType', 'thread', 'updatedAt'
+];
+
+// A thread is returned as the one entry it was scored as, with the ids of the tweets it is made of;
+// a single tweet that only opened a conversation isn't reported as a thread
+function toThreadPayload(thread) {
+  if (!thread?.conversationId || (thread.tweetIds || []).length < 2) return null;
+  return { conversationId: thread.conversationId, tweetIds: thread.tweetIds || [], tweetCount: (thread.tweetIds || []).length };
+}
+
+function toPostPayload(post, fallbackUserId) {
+  return {
+    SOL_ID: post.SOL_ID || fallbackUserId || post.userId,
+    DEV_ID: post.DEV_ID || '',
+    userId: post.userId,
+    username: post.username,
+    postId: post.postId,
+    content: post.content,
+    project: post.project,
+    score: post.score,
+    blabz: post.blabz,
+    scores: post.scores || [],
+    likes: post.likes,
+    retweets: post.retweets,
+    replies: post.replies,
+    hashtags: post.hashtags || [],
+    tweetUrl: post.tweetUrl,
+    createdAt: post.createdAt,
+    tweetType: post.tweetType,
+    thread: toThreadPayload(post.thread),
+    updatedAt: post.updatedAt
+  };
+}
+
+// Engagement of several tweets as one public_metrics object, on top of a post's stored counts
+function sumPublicMetrics(tweets, base = {}) {
+  const total = {
+    like_count: base.likes || 0,
+    retweet_count: base.retweets || 0,
+    reply_count: base.replies || 0,
+    quote_count: base.quotes || 0
+  };
+  tweets.forEach(tweet => {
+    Object.keys(total).forEach(key => {
+      total[key] += tweet.public_metrics?.[key] || 0;
+    });
+  });
+  return total;
+}
+
+module.exports = { POST_FIELDS, toPostPayload, toThreadPayload, sumPublicMetrics };
@@ -0,0 +1,59 @@
+const User = require('../models/user');
+const Project = require('../models/project');
+const { fetchTwitterUser } = require('./twitter');
+const { createCache } = require('./cache');
+const { twitterProfileFields } = require('./projects');
+
+const DEFAULT_TTL_SECONDS = 15 * 60;
+const DEFAULT_STALE_SECONDS = 60 * 60;
+
+function seconds(value, fallback) {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+}
+
+function userProfileFields(twitterUser) {
+  return {
+    userId: twitterUser.id,
+    username: twitterUser.username,
+    name: twitterUser.name || '',
+    profile_image_url: twitterUser.profile_image_url || '',
+    followers_count: twitterUser.public_metrics?.followers_count || 0,
+    following_count: twitterUser.public_metrics?.following_count || 0
+  };
+}
+
+// Every load, background revalidations included, is written through to the stored users and
+// projects for that account; lookups of unknown accounts don't create documents here
+async function persistProfile(key, twitterUser) {
+  const updatedAt = new Date();
+  await Promise.all([
+    User.updateOne({ userId: twitterUser.id }, { $set: { ...userProfileFields(twitterUser), updatedAt } }),
+    Project.updateMany(
+      { twitterUsername: twitterUser.username },
+      { $set: { ...twitterProfileFields(twitterUser), updatedAt } },
+      { collation: { locale: 'en', strength: 2 } }
+    )
+  ]);
+}
+
+const profileCache = createCache({
+  name: 'twitter-profile',
+  loader: username => fetchTwitterUser(username),
+  ttlMs: seconds(process.env.TWITTER_PROFILE_TTL_SECONDS, DEFAULT_TTL_SECONDS) * 1000,
+  staleMs: seconds(process.env.TWITTER_PROFILE_STALE_SECONDS, DEFAULT_STALE_SECONDS) * 1000,
+  backend: process.env.TWITTER_PROFILE_CACHE || 'memory',
+  onLoad: persistProfile
+});
+
+// Resolves to { value, status } from the shared cache; value is the X API user object or null when
+// the account doesn't exist. Throws the X API error only when nothing is cached to fall back on.
+function getTwitterProfile(username) {
+  return profileCache.get(username.toLowerCase());
+}
+
+function getProfileCacheStats() {
+  return profileCache.getStats();
+}
+
+module.exports = { getTwitterProfile, getProfileCacheStats, userProfileFields };
@@ -0,0 +1,212 @@
+const Project = require('../models/project');
+const ProjectAudit = require('../models/projectaudit');
+const { validateMatchRules } = require('./matcher');
+const { createLogger } = require('./logger');
+
+const log = createLogger('projects');
+
+function activeProjects(filter = {}) {
+  return { ...filter, deletedAt: null };
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+}
+
+// Validates only the fields present in input and returns them normalized for $set.
+// name is only accepted on create since posts, campaigns and keys reference it.
+function validateProjectInput(input, { creating = false } = {}) {
+  const errors = [];
+  const data = {};
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { data, errors: ['Request body must be an object'] };
+  }
+
+  if (creating) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      errors.push('name required');
+    } else {
+      data.name = input.name.trim().toUpperCase();
+    }
+  } else if (input.name !== undefined) {
+    errors.push('name cannot be changed');
+  }
+
+  for (const field of ['displayName', 'description']) {
+    if (input[field] === undefined) continue;
+    if (typeof input[field] !== 'string') errors.push(`${field} must be a string`);
+    else data[field] = input[field];
+  }
+  if (input.keywords !== undefined) {
+    if (!isStringArray(input.keywords)) errors.push('keywords must be an array of non-empty strings');
+    else data.keywords = input.keywords;
+  }
+  if (input.matchRules !== undefined) {
+    const rules = validateMatchRules(input.matchRules);
+    if (rules.errors.length) errors.push(...rules.errors);
+    else data.matchRules = rules.rules;
+  }
+  if (input.website !== undefined) {
+    if (typeof input.website !== 'string' || (input.website && !/^https?:\/\/[^\s$.?#].[^\s]*$/.test(input.website))) {
+      errors.push('Invalid website URL');
+    } else {
+      data.website = input.website;
+    }
+  }
+  if (input.twitterUsername !== undefined) {
+    if (typeof input.twitterUsername !== 'string' || (input.twitterUsername && !/^[A-Za-z0-9_]{1,15}$/.test(input.twitterUsername))) {
+      errors.push('twitterUsername must be a valid Twitter handle');
+    } else {
+      data.twitterUsername = input.twitterUsername;
+    }
+  }
+  for (const field of ['userId', 'profile_image_url']) {
+    if (input[field] === undefined) continue;
+    if (typeof input[field] !== 'string') errors.push(`${field} must be a string`);
+    else data[field] = input[field];
+  }
+  for (const field of ['followers_count', 'following_count']) {
+    if (input[field] === undefined) continue;
+    if (!Number.isInteger(input[field]) || input[field] < 0) errors.push(`${field} must be a non-negative integer`);
+    else data[field] = input[field];
+  }
+  if (input.createdAt !== undefined) {
+    if (isNaN(new Date(input.createdAt).getTime())) errors.push('Invalid createdAt date');
+    else data.createdAt = new Date(input.createdAt);
+  }
+  return { data, errors };
+}
+
+function comparable(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(comparable);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => ({ ...result, [key]: comparable(value[key]) }), {});
+  }
+  return value === undefined ? null : value;
+}
+
+// Field-level diff of the keys in `changes` against the stored document; nested objects
+// such as matchRules are reported per sub-field
+function diffProject(before, changes, prefix = '') {
+  const diff = [];
+  for (const [field, to] of Object.entries(changes)) {
+    const from = before ? before[field] : undefined;
+    if (to && typeof to === 'object' && !Array.isArray(to) && !(to instanceof Date)) {
+      diff.push(...diffProject(from || {}, to, `${prefix}${field}.`));
+      continue;
+    }
+    if (JSON.stringify(comparable(from)) !== JSON.stringify(comparable(to))) {
+      diff.push({ field: `${prefix}${field}`, from: comparable(from), to: comparable(to) });
+    }
+  }
+  return diff;
+}
+
+function toActor(apiKey) {
+  return { name: apiKey.name, role: apiKey.role, apiKeyId: apiKey._id || null };
+}
+
+async function recordAudit(project, action, apiKey, changes = []) {
+  await ProjectAudit.create({
+    projectId: project._id,
+    project: project.name,
+    action,
+    actor: toActor(apiKey),
+    changes
+  });
+  log.info(`Project ${action}`, { project: project.name, action, actor: apiKey.name, fields: changes.map(change => change.field) });
+}
+
+async function createProject(input, apiKey) {
+  const data = { ...input, updatedAt: new Date() };
+  const project = await Project.create(data);
+  await recordAudit(project, 'create', apiKey, diffProject(null, input));
+  return project.toObject();
+}
+
+// Applies only the provided fields; matchRules lists merge into the stored rules
+async function updateProject(existing, changes, apiKey) {
+  const data = { ...changes };
+  if (data.matchRules) {
+    data.matchRules = { ...(existing.matchRules || {}), ...data.matchRules };
+  }
+  const diff = diffProject(existing, data);
+  if (!diff.length) return { project: existing, changes: diff };
+
+  const project = await Project.findOneAndUpdate(
+    { _id: existing._id },
+    { $set: { ...data, updatedAt: new Date() } },
+    { new: true }
+  ).lean();
+  await recordAudit(project, 'update', apiKey, diff);
+  return { project, changes: diff };
+}
+
+async function deleteProject(existing, apiKey) {
+  const project = await Project.findOneAndUpdate(
+    { _id: existing._id, deletedAt: null },
+    { $set: { deletedAt: new Date(), deletedBy: apiKey.name, updatedAt: new Date() } },
+    { new: true }
+  ).lean();
+  if (project) {
+    await recordAudit(project, 'delete', apiKey, diffProject(existing, { deletedAt: project.deletedAt }));
+  }
+  return project;
+}
+
+async function restoreProject(existing, apiKey) {
+  const project = await Project.findOneAndUpdate(
+    { _id: existing._id, deletedAt: { $ne: null } },
+    { $set: { deletedAt: null, deletedBy: null, updatedAt: new Date() } },
+    { new: true }
+  ).lean();
+  if (project) {
+    await recordAudit(project, 'restore', apiKey, diffProject(existing, { deletedAt: null }));
+  }
+  return project;
+}
+
+function toProjectPayload(project) {
+  return {
+    _id: project._id,
+    name: project.name,
+    displayName: project.displayName,
+    createdAt: project.createdAt,
+    description: project.description || '',
+    keywords: project.keywords || [],
+    matchRules: project.matchRules || {},
+    website: project.website || '',
+    twitterUsername: project.twitterUsername,
+    userId: project.userId,
+    profile_image_url: project.profile_image_url,
+    followers_count: project.followers_count,
+    following_count: project.following_count,
+    updatedAt: project.updatedAt,
+    deletedAt: project.deletedAt || null
+  };
+}
+
+function twitterProfileFields(twitterUser) {
+  return {
+    displayName: twitterUser.name || '',
+    twitterUsername: twitterUser.username,
+    userId: twitterUser.id,
+    profile_image_url: twitterUser.profile_image_url || '',
+    followers_count: twitterUser.public_metrics?.followers_count || 0,
+    following_count: twitterUser.public_metrics?.following_count || 0
+  };
+}
+
+module.exports = {
+  activeProjects,
+  validateProjectInput,
+  diffProject,
+  recordAudit,
+  createProject,
+  updateProject,
+  deleteProject,
+  restoreProject,
+  toProjectPayload,
+  twitterProfileFields
+};
@@ -0,0 +1,159 @@
+const Post = require('../models/post');
+const Project = require('../models/project');
+const User = require('../models/user');
+const { ENDPOINTS, TWEETS_LOOKUP_BATCH_SIZE, isRateLimited, getRateLimitUntil, lookupTweets } = require('./twitter');
+const { scoreForProjects, findScoringModel, resolveScoringModels } = require('./scoring');
+const { isZeroedDuplicate } = require('./duplicates');
+const { emitEvent, toWebhookPost } = require('./webhooks');
+const { keepCampaignBlabz } = require('./campaigns');
+const { keepPaidBlabz } = require('./payouts');
+const { activeProjects } = require('./projects');
+const { sumPublicMetrics } = require('./posts');
+const { createLogger } = require('./logger');
+
+const log = createLogger('refresh');
+
+const DEFAULT_REWARD_WINDOW_DAYS = 7;
+
+// Posts are re-scored with the model version they were originally scored with, so a
+// model change never silently rewrites rewards already on record
+async function modelsForPost(post, modelCache, currentModels) {
+  if (!post.scores?.length) {
+    return post.project
+      .filter(project => currentModels.has(project))
+      .map(project => ({ project, model: currentModels.get(project) }));
+  }
+  const entries = [];
+  for (const entry of post.scores) {
+    const key = `${entry.scoringModel}@${entry.scoringModelVersion}`;
+    if (!modelCache.has(key)) {
+      modelCache.set(key, await findScoringModel(entry.scoringModel, entry.scoringModelVersion));
+    }
+    const model = modelCache.get(key);
+    if (model) {
+      entries.push({ project: entry.project, model });
+    }
+  }
+  return entries;
+}
+
+function tweetIdsOf(post) {
+  return post.thread?.tweetIds?.length ? post.thread.tweetIds : [post.postId];
+}
+
+// A thread's engagement is the sum over its parts that are still available
+function currentMetrics(post, tweetsById) {
+  const tweets = tweetIdsOf(post).map(id => tweetsById.get(id)).filter(Boolean);
+  return tweets.length ? sumPublicMetrics(tweets) : null;
+}
+
+async function refreshBatch(posts, modelCache, currentModels) {
+  const ids = posts.flatMap(tweetIdsOf);
+  const tweets = [];
+  for (let i = 0; i < ids.length; i += TWEETS_LOOKUP_BATCH_SIZE) {
+    tweets.push(...await lookupTweets(ids.slice(i, i + TWEETS_LOOKUP_BATCH_SIZE)));
+  }
+  const tweetsById = new Map(tweets.map(tweet => [tweet.id, tweet]));
+  const users = await User.find({ userId: { $in: [...new Set(posts.map(post => post.userId))] } })
+    .select('userId followers_count')
+    .lean();
+  const followersByUser = new Map(users.map(user => [user.userId, user.followers_count || 0]));
+
+  let updated = 0;
+  for (const post of posts) {
+    const publicMetrics = currentMetrics(post, tweetsById);
+    if (!publicMetrics) {
+      log.debug('Tweet no longer available, keeping last metrics', { postId: post.postId });
+      continue;
+    }
+    const entries = await modelsForPost(post, modelCache, currentModels);
+    if (!entries.length) {
+      log.warn('No scoring model found for post, skipping', { postId: post.postId });
+      continue;
+    }
+
+    const metrics = {
+      likes: publicMetrics.like_count,
+      retweets: publicMetrics.retweet_count,
+      replies: publicMetrics.reply_count,
+      quotes: publicMetrics.quote_count
+    };
+    const { scores, score, blabz } = keepPaidBlabz(post, keepCampaignBlabz(post, scoreForProjects(
+      { text: post.content, public_metrics: publicMetrics },
+      followersByUser.get(post.userId) || 0,
+      entries
+    )));
+    const now = new Date();
+    if (isZeroedDuplicate(post)) {
+      // Duplicates stay at zero; only the withheld score is kept current for review
+      await Post.updateOne(
+        { _id: post._id },
+        { $set: { ...metrics, metricsRefreshedAt: now, 'duplicate.withheld': { score, blabz, scores } } }
+      );
+      continue;
+    }
+    const changed = score !== post.score || blabz !== post.blabz ||
+      Object.keys(metrics).some(key => metrics[key] !== (post[key] || 0));
+
+    const update = { $set: { ...metrics, metricsRefreshedAt: now } };
+    if (changed) {
+      update.$set = { ...update.$set, score, blabz, scores, updatedAt: now };
+      update.$push = { scoreHistory: { at: now, reason: 'refreshed', score, blabz, ...metrics } };
+      updated++;
+    }
+    await Post.updateOne({ _id: post._id }, update);
+    if (changed) {
+      emitEvent('post.rescored', post.project, {
+        post: toWebhookPost({ ...post, ...update.$set }),
+        previous: { score: post.score, blabz: post.blabz }
+      });
+    }
+  }
+  return updated;
+}
+
+async function runEngagementRefresh() {
+  const windowDays = parseFloat(process.env.REWARD_WINDOW_DAYS) || DEFAULT_REWARD_WINDOW_DAYS;
+  const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+  const currentModels = await resolveScoringModels(await Project.find(activeProjects()).lean());
+  const modelCache = new Map();
+  let checked = 0;
+  let updated = 0;
+
+  log.info('Refreshing engagement', { since });
+  // Least recently refreshed first, so a run cut short by the rate limit resumes with the stalest posts
+  const cursor = Post.find({ createdAt: { $gte: since } })
+    .sort({ metricsRefreshedAt: 1, createdAt: -1 })
+    .lean()
+    .cursor();
+
+  let batch = [];
+  const flush = async () => {
+    updated += await refreshBatch(batch, modelCache, currentModels);
+    checked += batch.length;
+    batch = [];
+  };
+
+  try {
+    for await (const post of cursor) {
+      batch.push(post);
+      if (batch.length < TWEETS_LOOKUP_BATCH_SIZE) continue;
+      if (isRateLimited(ENDPOINTS.TWEETS_LOOKUP)) break;
+      await flush();
+    }
+    if (batch.length && !isRateLimited(ENDPOINTS.TWEETS_LOOKUP)) {
+      await flush();
+    }
+    if (isRateLimited(ENDPOINTS.TWEETS_LOOKUP)) {
+      log.warn('Rate limit active, stopping run', { limitedUntil: getRateLimitUntil(ENDPOINTS.TWEETS_LOOKUP) });
+    }
+  } catch (err) {
+    if (err.response?.status !== 429) throw err;
+    log.warn('Rate limit hit, stopping run', { limitedUntil: getRateLimitUntil(ENDPOINTS.TWEETS_LOOKUP) });
+  }
+
+  log.info('Engagement refresh finished', { checked, updated });
+  return { checked, updated };
+}
+
+module.exports = { runEngagementRefresh };
@@ -0,0 +1,81 @@
+const ProcessedPost = require('../models/processedpost');
+const Project = require('../models/project');
+const User = require('../models/user');
+const { activeProjects } = require('./projects');
+const { createLogger } = require('./logger');
+
+const log = createLogger('reprocess');
+
+const SKIP_REASONS = ['retweet', 'short', 'mention-heavy', 'no-project-match', 'scored'];
+
+function isValidDate(dateString) {
+  return !isNaN(new Date(dateString).getTime());
+}
+
+// Builds the ProcessedPost filter for a reprocessing request. An empty scope has to be asked
+// for explicitly with all=true so a missing query string can't wipe the whole collection.
+function buildReprocessFilter({ userId, username, project, reason, from, to, all }) {
+  const errors = [];
+  const filter = {};
+  if (userId) filter.userId = userId;
+  if (username) filter.username = username;
+  // Only scored records name their projects; tweets that matched no project could match this one
+  // after a keyword change, so they stay in scope and are narrowed by user or date instead
+  if (project) filter.$or = [{ projects: project.toUpperCase() }, { reason: 'no-project-match' }];
+  if (reason) {
+    const reasons = reason.split(',');
+    if (reasons.some(value => !SKIP_REASONS.includes(value))) {
+      errors.push(`reason must be one of: ${SKIP_REASONS.join(', ')}`);
+    } else {
+      filter.reason = { $in: reasons };
+    }
+  }
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    errors.push('from and to must be valid dates');
+  } else if (from || to) {
+    filter.updatedAt = {};
+    if (from) filter.updatedAt.$gte = new Date(from);
+    if (to) filter.updatedAt.$lte = new Date(to);
+  }
+  if (!errors.length && !Object.keys(filter).length && all !== 'true') {
+    errors.push('Provide at least one of userId, username, project, reason, from, to, or all=true');
+  }
+  return { filter, errors };
+}
+
+// Clears the matching ProcessedPost records and rewinds the cursors that would otherwise stop
+// those tweets from being fetched again: user timelines, and project discovery for search hits
+// (only the given project's when the request was scoped to one).
+async function reprocess(filter, { dryRun = false, project } = {}) {
+  const [summary] = await ProcessedPost.aggregate([
+    { $match: filter },
+    {
+      $facet: {
+        byReason: [{ $group: { _id: '$reason', count: { $sum: 1 } } }],
+        users: [{ $match: { source: 'timeline', userId: { $ne: null } } }, { $group: { _id: '$userId' } }],
+        search: [{ $match: { source: 'search' } }, { $count: 'count' }]
+      }
+    }
+  ]);
+  const byReason = Object.fromEntries(summary.byReason.map(row => [row._id || 'unknown', row.count]));
+  const matched = summary.byReason.reduce((sum, row) => sum + row.count, 0);
+  const userIds = summary.users.map(row => row._id);
+  const includesSearch = (summary.search[0]?.count || 0) > 0;
+  const result = { dryRun, matched, byReason, users: userIds.length, includesSearch };
+  if (dryRun || !matched) return { ...result, deletedCount: 0 };
+
+  const deleted = await ProcessedPost.deleteMany(filter);
+  if (userIds.length) {
+    await User.updateMany({ userId: { $in: userIds } }, { $set: { 'timelineCursor.sinceId': null, 'timelineCursor.untilId': null, 'timelineCursor.pendingSinceId': null } });
+  }
+  if (includesSearch) {
+    await Project.updateMany(
+      activeProjects(project ? { name: project.toUpperCase() } : {}),
+      { $set: { 'discovery.sinceId': null, 'discovery.untilId': null, 'discovery.pendingSinceId': null } }
+    );
+  }
+  log.info(`Cleared ${deleted.deletedCount} processed posts`, { deletedCount: deleted.deletedCount, rewoundUsers: userIds.length });
+  return { ...result, deletedCount: deleted.deletedCount };
+}
+
+module.exports = { SKIP_REASONS, buildReprocessFilter, reprocess };
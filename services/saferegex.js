@@ -0,0 +1,306 @@
+// Linear-time matcher for the regexes projects put in their match rules. Patterns are compiled to a
+// Thompson NFA and simulated one input character at a time, so matching costs O(text x pattern) no
+// matter how the pattern is written; (a|aa)+b or \w*\w*\w*x can't backtrack because nothing does.
+// The supported subset is what a backtracking-free engine can do: literals and escapes, ., \w \d \s
+// and their negations, [...] sets, groups, (?:...), |, * + ? {n} {n,} {n,m} (lazy forms match the same
+// for a yes/no test), and the ^ $ \b \B assertions. Backreferences and lookarounds are rejected.
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_PROGRAM_SIZE = 2000;
+const MAX_REPEAT = 100;
+
+class UnsupportedPatternError extends Error {}
+
+const isWordChar = c => c !== undefined && /\w/.test(c);
+const CLASS_ESCAPES = {
+  d: c => c >= '0' && c <= '9',
+  D: c => !(c >= '0' && c <= '9'),
+  w: c => isWordChar(c),
+  W: c => !isWordChar(c),
+  s: c => /\s/.test(c),
+  S: c => !/\s/.test(c)
+};
+const CHAR_ESCAPES = { n: '\n', r: '\r', t: '\t', f: '\f', v: '\v', 0: '\0' };
+
+function parse(pattern) {
+  let pos = 0;
+
+  const fail = message => {
+    throw new UnsupportedPatternError(`${message} at position ${pos}`);
+  };
+  const peek = () => pattern[pos];
+  const eat = char => {
+    if (pattern[pos] === char) {
+      pos++;
+      return true;
+    }
+    return false;
+  };
+
+  function parseEscapedChar(inSet) {
+    const char = pattern[pos++];
+    if (char === undefined) fail('Trailing backslash');
+    if (CLASS_ESCAPES[char]) return { test: CLASS_ESCAPES[char] };
+    if (CHAR_ESCAPES[char] && !(char === '0' && /\d/.test(peek() || ''))) return { char: CHAR_ESCAPES[char] };
+    if (/[1-9]/.test(char) || char === 'k') fail('Backreferences are not supported');
+    if (char === 'x' && /^[0-9a-fA-F]{2}$/.test(pattern.slice(pos, pos + 2))) {
+      pos += 2;
+      return { char: String.fromCharCode(parseInt(pattern.slice(pos - 2, pos), 16)) };
+    }
+    if (char === 'u' && /^[0-9a-fA-F]{4}$/.test(pattern.slice(pos, pos + 4))) {
+      pos += 4;
+      return { char: String.fromCharCode(parseInt(pattern.slice(pos - 4, pos), 16)) };
+    }
+    if (inSet && char === 'b') return { char: '\b' };
+    if (/[A-Za-z0-9]/.test(char)) fail(`Unsupported escape \\${char}`);
+    return { char };
+  }
+
+  function parseSet() {
+    const negated = eat('^');
+    const tests = [];
+    let first = true;
+    while (peek() !== ']' || first) {
+      first = false;
+      if (peek() === undefined) fail('Unterminated character set');
+      const low = peek() === '\\' ? (pos++, parseEscapedChar(true)) : { char: pattern[pos++] };
+      if (peek() === '-' && pattern[pos + 1] !== ']' && pattern[pos + 1] !== undefined && low.char !== undefined) {
+        pos++;
+        const high = peek() === '\\' ? (pos++, parseEscapedChar(true)) : { char: pattern[pos++] };
+        if (high.char === undefined || high.char < low.char) fail('Invalid range in character set');
+        tests.push(c => c >= low.char && c <= high.char);
+      } else {
+        tests.push(low.test || (c => c === low.char));
+      }
+    }
+    pos++;
+    return { negated, test: c => tests.some(test => test(c)) };
+  }
+
+  function parseAtom() {
+    const char = pattern[pos++];
+    switch (char) {
+      case '(': {
+        if (eat('?')) {
+          if (!eat(':')) fail('Lookarounds and named groups are not supported');
+        }
+        const node = parseAlternation();
+        if (!eat(')')) fail('Missing )');
+        return node;
+      }
+      case '[':
+        return { type: 'set', ...parseSet() };
+      case '.':
+        return { type: 'char', test: c => c !== '\n' && c !== '\r' && c !== '\u2028' && c !== '\u2029' };
+      case '^':
+        return { type: 'assert', kind: 'start' };
+      case '$':
+        return { type: 'assert', kind: 'end' };
+      case '\\': {
+        if (eat('b')) return { type: 'assert', kind: 'boundary' };
+        if (eat('B')) return { type: 'assert', kind: 'nonBoundary' };
+        const escaped = parseEscapedChar(false);
+        return escaped.test ? { type: 'char', test: escaped.test } : { type: 'literal', char: escaped.char };
+      }
+      case '*':
+      case '+':
+      case '?':
+      case '{':
+        pos--;
+        return fail('Nothing to repeat');
+      default:
+        return { type: 'literal', char };
+    }
+  }
+
+  function parseQuantifier() {
+    let min;
+    let max;
+    if (eat('*')) [min, max] = [0, Infinity];
+    else if (eat('+')) [min, max] = [1, Infinity];
+    else if (eat('?')) [min, max] = [0, 1];
+    else {
+      const bounds = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(pos));
+      if (!bounds) return null;
+      pos += bounds[0].length;
+      min = parseInt(bounds[1]);
+      max = bounds[2] === undefined ? min : bounds[3] === '' ? Infinity : parseInt(bounds[3]);
+      if (max < min) fail('Numbers out of order in {} quantifier');
+      if (min > MAX_REPEAT || (max !== Infinity && max > MAX_REPEAT)) fail(`Repeat counts above ${MAX_REPEAT} are not supported`);
+    }
+    eat('?');
+    return { min, max };
+  }
+
+  function parseSequence() {
+    const items = [];
+    while (pos < pattern.length && peek() !== '|' && peek() !== ')') {
+      const atom = parseAtom();
+      const quantifier = parseQuantifier();
+      if (quantifier && atom.type === 'assert') fail('Nothing to repeat');
+      items.push(quantifier ? { type: 'repeat', node: atom, ...quantifier } : atom);
+    }
+    return { type: 'sequence', items };
+  }
+
+  function parseAlternation() {
+    const options = [parseSequence()];
+    while (eat('|')) options.push(parseSequence());
+    return options.length === 1 ? options[0] : { type: 'alternation', options };
+  }
+
+  const tree = parseAlternation();
+  if (pos < pattern.length) fail('Unmatched )');
+  return tree;
+}
+
+// Case-insensitive like the i flag: a character matches when any of its cases does
+function foldCase(test) {
+  return c => test(c) || test(c.toLowerCase()) || test(c.toUpperCase());
+}
+
+// Pike VM code: char, split, jmp, assert and match instructions, emitted depth first
+function compileProgram(tree) {
+  const program = [];
+  const emit = instruction => {
+    if (program.length >= MAX_PROGRAM_SIZE) {
+      throw new UnsupportedPatternError('Pattern is too large');
+    }
+    program.push(instruction);
+    return program.length - 1;
+  };
+
+  function compileNode(node) {
+    switch (node.type) {
+      case 'literal': {
+        const lower = node.char.toLowerCase();
+        emit({ op: 'char', test: c => c.toLowerCase() === lower || c === node.char });
+        break;
+      }
+      case 'char':
+        emit({ op: 'char', test: foldCase(node.test) });
+        break;
+      case 'set': {
+        const inSet = foldCase(node.test);
+        emit({ op: 'char', test: node.negated ? c => !inSet(c) : inSet });
+        break;
+      }
+      case 'assert':
+        emit({ op: 'assert', kind: node.kind });
+        break;
+      case 'sequence':
+        node.items.forEach(compileNode);
+        break;
+      case 'alternation': {
+        const jumps = [];
+        node.options.forEach((option, index) => {
+          if (index === node.options.length - 1) {
+            compileNode(option);
+            return;
+          }
+          const split = emit({ op: 'split', x: program.length + 1, y: null });
+          compileNode(option);
+          jumps.push(emit({ op: 'jmp', to: null }));
+          program[split].y = program.length;
+        });
+        jumps.forEach(jump => { program[jump].to = program.length; });
+        break;
+      }
+      case 'repeat': {
+        for (let i = 0; i < node.min; i++) compileNode(node.node);
+        if (node.max === Infinity) {
+          const split = emit({ op: 'split', x: program.length + 1, y: null });
+          compileNode(node.node);
+          emit({ op: 'jmp', to: split });
+          program[split].y = program.length;
+        } else {
+          const splits = [];
+          for (let i = node.min; i < node.max; i++) {
+            splits.push(emit({ op: 'split', x: program.length + 1, y: null }));
+            compileNode(node.node);
+          }
+          splits.forEach(split => { program[split].y = program.length; });
+        }
+        break;
+      }
+      default:
+        throw new Error(`Unknown node ${node.type}`);
+    }
+  }
+
+  compileNode(tree);
+  emit({ op: 'match' });
+  return program;
+}
+
+function assertionHolds(kind, text, index) {
+  switch (kind) {
+    case 'start':
+      return index === 0;
+    case 'end':
+      return index === text.length;
+    case 'boundary':
+      return isWordChar(text[index - 1]) !== isWordChar(text[index]);
+    default:
+      return isWordChar(text[index - 1]) === isWordChar(text[index]);
+  }
+}
+
+// Unanchored search: a thread starts at every position and each program counter is kept at most
+// once per position, which is what bounds the work
+function runProgram(program, text) {
+  const seen = new Int32Array(program.length).fill(-1);
+  let threads = [];
+
+  function addThread(list, start, index) {
+    const stack = [start];
+    while (stack.length) {
+      const pc = stack.pop();
+      if (seen[pc] === index) continue;
+      seen[pc] = index;
+      const instruction = program[pc];
+      switch (instruction.op) {
+        case 'match':
+          return true;
+        case 'jmp':
+          stack.push(instruction.to);
+          break;
+        case 'split':
+          stack.push(instruction.y, instruction.x);
+          break;
+        case 'assert':
+          if (assertionHolds(instruction.kind, text, index)) stack.push(pc + 1);
+          break;
+        default:
+          list.push(pc);
+      }
+    }
+    return false;
+  }
+
+  for (let index = 0; index <= text.length; index++) {
+    if (addThread(threads, 0, index)) return true;
+    if (index === text.length) break;
+    const next = [];
+    for (const pc of threads) {
+      if (program[pc].test(text[index]) && addThread(next, pc + 1, index + 1)) return true;
+    }
+    threads = next;
+  }
+  return false;
+}
+
+// Compiles a pattern into { source, test(text) }, matched case-insensitively.
+// Throws UnsupportedPatternError for syntax outside the subset.
+function compileSafeRegex(pattern) {
+  if (typeof pattern !== 'string' || !pattern.length) {
+    throw new UnsupportedPatternError('Pattern must be a non-empty string');
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new UnsupportedPatternError(`Pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+  }
+  const program = compileProgram(parse(pattern));
+  return { source: pattern, test: text => runProgram(program, text) };
+}
+
+module.exports = { compileSafeRegex, UnsupportedPatternError };
@@ -0,0 +1,132 @@
+const User = require('../models/user');
+const { ENDPOINTS, isRateLimited, getRateLimitUntil } = require('./twitter');
+const { ingestUser } = require('./ingest');
+const { runEngagementRefresh } = require('./refresh');
+const { runDiscovery } = require('./discovery');
+const { retryDueDeliveries } = require('./webhooks');
+const { createLogger, runWithContext } = require('./logger');
+
+const log = createLogger('scheduler');
+
+async function runIngestion() {
+  let processed = 0;
+  try {
+    log.info('Starting ingestion run');
+    // Least recently ingested users first, so a run cut short by the rate limit resumes where it stopped
+    const cursor = User.find().sort({ 'ingestion.lastRunAt': 1 }).lean().cursor();
+    for await (const userDoc of cursor) {
+      const blockedEndpoint = [ENDPOINTS.USER_LOOKUP, ENDPOINTS.USER_TIMELINE].find(endpoint => isRateLimited(endpoint));
+      if (blockedEndpoint) {
+        log.warn(`Rate limit active on ${blockedEndpoint}, stopping run`, { endpoint: blockedEndpoint, limitedUntil: getRateLimitUntil(blockedEndpoint) });
+        break;
+      }
+
+      const startedAt = new Date();
+      try {
+        const { status, posts } = await ingestUser(userDoc);
+        await User.updateOne(
+          { _id: userDoc._id },
+          {
+            $set: {
+              'ingestion.lastRunAt': startedAt,
+              'ingestion.lastSuccessAt': new Date(),
+              'ingestion.lastStatus': status,
+              'ingestion.lastError': '',
+              'ingestion.lastPostCount': posts.length
+            }
+          }
+        );
+        log.info(`Ingested ${posts.length} posts for ${userDoc.username}`, { username: userDoc.username, posts: posts.length, status });
+      } catch (err) {
+        const status = err.response?.status === 429 ? 'rate_limited' : 'error';
+        await User.updateOne(
+          { _id: userDoc._id },
+          {
+            $set: {
+              'ingestion.lastRunAt': startedAt,
+              'ingestion.lastStatus': status,
+              'ingestion.lastError': err.message || `HTTP ${err.response?.status}`
+            }
+          }
+        );
+        log.error(`Ingestion failed for ${userDoc.username}`, { username: userDoc.username, status, err });
+      }
+      processed++;
+    }
+  } finally {
+    log.info('Ingestion run finished', { processed });
+  }
+}
+
+const jobs = [
+  {
+    name: 'ingestion',
+    run: runIngestion,
+    enabledEnv: 'INGEST_ENABLED',
+    intervalEnv: 'INGEST_INTERVAL_MINUTES',
+    defaultMinutes: 30
+  },
+  {
+    name: 'engagement refresh',
+    run: runEngagementRefresh,
+    enabledEnv: 'REFRESH_ENABLED',
+    intervalEnv: 'REFRESH_INTERVAL_MINUTES',
+    defaultMinutes: 60
+  },
+  {
+    name: 'discovery',
+    run: runDiscovery,
+    enabledEnv: 'DISCOVERY_ENABLED',
+    intervalEnv: 'DISCOVERY_INTERVAL_MINUTES',
+    defaultMinutes: 60
+  },
+  {
+    name: 'webhook retries',
+    run: retryDueDeliveries,
+    enabledEnv: 'WEBHOOK_RETRY_ENABLED',
+    intervalEnv: 'WEBHOOK_RETRY_INTERVAL_MINUTES',
+    defaultMinutes: 1
+  }
+];
+
+function startJob(job) {
+  if (process.env[job.enabledEnv] === 'false') {
+    log.info(`Background ${job.name} disabled`, { job: job.name });
+    return;
+  }
+  if (job.timer) return;
+  const minutes = parseFloat(process.env[job.intervalEnv]) || job.defaultMinutes;
+  const tick = async () => {
+    if (job.running) {
+      log.warn(`Previous ${job.name} run still in progress, skipping`, { job: job.name });
+      return;
+    }
+    job.running = true;
+    try {
+      // Each run gets its own correlation ID so its Twitter calls and writes can be traced like a request
+      await runWithContext({ job: job.name }, () => job.run());
+    } catch (err) {
+      log.error(`${job.name} run error`, { job: job.name, err });
+    } finally {
+      job.running = false;
+    }
+  };
+  job.timer = setInterval(tick, minutes * 60 * 1000);
+  log.info(`Background ${job.name} every ${minutes} minutes`, { job: job.name, minutes });
+  tick();
+}
+
+function startScheduler() {
+  jobs.forEach(startJob);
+}
+
+function stopScheduler() {
+  jobs.forEach(job => {
+    if (job.timer) {
+      clearInterval(job.timer);
+      job.timer = null;
+    }
+  });
+}
+
+module.exports = { runIngestion, startScheduler, stopScheduler };
@@ -0,0 +1,126 @@
+const ScoringModel = require('../models/scoringmodel');
+const { createLogger } = require('./logger');
+
+const log = createLogger('scoring');
+
+// Built-in model reproducing the original hard-coded formula; used when a project has no model assigned
+const DEFAULT_SCORING_MODEL = {
+  name: 'default',
+  version: 1,
+  description: 'Built-in scoring model',
+  weights: { base: 0.25, length: 0.25, engagement: 0.25 },
+  engagement: { like: 1, retweet: 2, quote: 3 },
+  length: { offset: 50, range: 200 },
+  caps: { length: 1, engagement: 1, blabzPerPost: 0 },
+  pointsPerBlabz: 300
+};
+
+function calculateQualityScore(tweet, followersCount, model = DEFAULT_SCORING_MODEL) {
+  const lengthScore = Math.min(Math.max((tweet.text.length - model.length.offset) / model.length.range, 0), model.caps.length);
+  const { like_count = 0, retweet_count = 0, quote_count = 0 } = tweet.public_metrics || {};
+  const engagementRaw = model.engagement.like * like_count + model.engagement.retweet * retweet_count + model.engagement.quote * quote_count;
+  const engagementScore = Math.min(engagementRaw / Math.max(1, followersCount), model.caps.engagement);
+  const combinedScore = model.weights.base + model.weights.length * lengthScore + model.weights.engagement * engagementScore;
+  return Math.round(Math.min(combinedScore, 1) * 99) + 1;
+}
+
+function calculateBlabz(qualityScore, model = DEFAULT_SCORING_MODEL) {
+  let blabz = qualityScore / model.pointsPerBlabz;
+  if (model.caps.blabzPerPost > 0) {
+    blabz = Math.min(blabz, model.caps.blabzPerPost);
+  }
+  return parseFloat(blabz.toFixed(4));
+}
+
+// Scores a tweet once per project with that project's model. The post keeps the best score
+// and the summed blabz; entries is a list of { project, model }.
+function scoreForProjects(tweet, followersCount, entries) {
+  const scores = entries.map(({ project, model }) => {
+    const score = calculateQualityScore(tweet, followersCount, model);
+    return {
+      project,
+      score,
+      blabz: calculateBlabz(score, model),
+      scoringModel: model.name,
+      scoringModelVersion: model.version
+    };
+  });
+  return {
+    scores,
+    score: Math.max(...scores.map(entry => entry.score)),
+    blabz: parseFloat(scores.reduce((sum, entry) => sum + entry.blabz, 0).toFixed(4))
+  };
+}
+
+async function findScoringModel(name, version) {
+  if (name === DEFAULT_SCORING_MODEL.name && (!version || version === DEFAULT_SCORING_MODEL.version)) {
+    const stored = await ScoringModel.findOne({ name, ...(version ? { version } : {}) }).sort({ version: -1 }).lean();
+    return stored || DEFAULT_SCORING_MODEL;
+  }
+  const query = version ? { name, version } : { name };
+  return ScoringModel.findOne(query).sort({ version: -1 }).lean();
+}
+
+// Resolves each project's assigned model (pinned version or latest) into a Map keyed by project name
+async function resolveScoringModels(projects) {
+  const byKey = new Map();
+  const models = new Map();
+  for (const project of projects) {
+    const name = project.scoringModel?.name || DEFAULT_SCORING_MODEL.name;
+    const version = project.scoringModel?.version || null;
+    const key = `${name}@${version || 'latest'}`;
+    if (!byKey.has(key)) {
+      const model = await findScoringModel(name, version);
+      if (!model) {
+        log.warn(`Scoring model ${key} not found, using default`, { model: key, project: project.name });
+      }
+      byKey.set(key, model || DEFAULT_SCORING_MODEL);
+    }
+    models.set(project.name.toUpperCase(), byKey.get(key));
+  }
+  return models;
+}
+
+function validateScoringModel(input) {
+  const errors = [];
+  const numberFields = [
+    'weights.base', 'weights.length', 'weights.engagement',
+    'engagement.like', 'engagement.retweet', 'engagement.quote',
+    'length.offset', 'length.range',
+    'caps.length', 'caps.engagement', 'caps.blabzPerPost',
+    'pointsPerBlabz'
+  ];
+  const model = {};
+  for (const field of numberFields) {
+    const [group, key] = field.split('.');
+    const value = key ? input[group]?.[key] : input[group];
+    const fallback = key ? DEFAULT_SCORING_MODEL[group][key] : DEFAULT_SCORING_MODEL[group];
+    if (value !== undefined && (typeof value !== 'number' || !isFinite(value) || value < 0)) {
+      errors.push(`${field} must be a non-negative number`);
+      continue;
+    }
+    if (key) {
+      model[group] = model[group] || {};
+      model[group][key] = value !== undefined ? value : fallback;
+    } else {
+      model[group] = value !== undefined ? value : fallback;
+    }
+  }
+  if (!errors.length) {
+    if (model.length.range <= 0) errors.push('length.range must be greater than 0');
+    if (model.pointsPerBlabz <= 0) errors.push('pointsPerBlabz must be greater than 0');
+    const maxCombined = model.weights.base + model.weights.length * model.caps.length + model.weights.engagement * model.caps.engagement;
+    if (maxCombined > 1) errors.push('weights combined with caps must not exceed 1');
+  }
+  return { model, errors };
+}
+
+module.exports = {
+  DEFAULT_SCORING_MODEL,
+  calculateQualityScore,
+  calculateBlabz,
+  scoreForProjects,
+  findScoringModel,
+  resolveScoringModels,
+  validateScoringModel
+};
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../logger');
+
+const log = createLogger('twitter');
+
+function readFixture(file) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function filterIdRange(body, { since_id: sinceId, until_id: untilId }) {
+  if (!sinceId && !untilId) {
+    return body;
+  }
+  const data = (body.data || []).filter(tweet => (!sinceId || BigInt(tweet.id) > BigInt(sinceId)) &&
+    (!untilId || BigInt(tweet.id) < BigInt(untilId)));
+  if (!data.length) {
+    return { meta: { result_count: 0 } };
+  }
+  return {
+    ...body,
+    data,
+    meta: { result_count: data.length, newest_id: data[0].id, oldest_id: data[data.length - 1].id }
+  };
+}
+
+// Offline client that serves recorded X API response bodies from disk:
+//   <dir>/users/<username>.json      body of GET /users/by/username/:username
+//   <dir>/timelines/<userId>.json    body of GET /users/:id/tweets
+//   <dir>/tweets/<tweetId>.json      { data: tweet }, falls back to tweets found in timelines
+//   <dir>/search/recent.json         body of GET /tweets/search/recent, served for every query
+function createFixtureClient({ dir } = {}) {
+  if (!dir) {
+    throw new Error('[Twitter] TWITTER_FIXTURE_DIR is required for the fixture client');
+  }
+  const root = path.resolve(dir);
+
+  async function getUserByUsername(username) {
+    const body = readFixture(path.join(root, 'users', `${username.toLowerCase()}.json`));
+    if (!body) {
+      log.debug('No user fixture', { username });
+      return { errors: [{ title: 'Not Found Error', detail: `Could not find user with username: [${username}].` }] };
+    }
+    return body;
+  }
+
+  async function getUserTimeline(userId, params = {}) {
+    const body = readFixture(path.join(root, 'timelines', `${userId}.json`));
+    if (!body) {
+      log.debug('No timeline fixture', { userId });
+      return { meta: { result_count: 0 } };
+    }
+    return filterIdRange(body, params);
+  }
+
+  async function searchRecent(params = {}) {
+    const body = readFixture(path.join(root, 'search', 'recent.json'));
+    if (!body) {
+      log.debug('No recent search fixture', { query: params.query });
+      return { meta: { result_count: 0 } };
+    }
+    return filterIdRange(body, params);
+  }
+
+  function findTweet(id) {
+    const body = readFixture(path.join(root, 'tweets', `${id}.json`));
+    if (body) return body.data;
+    const timelinesDir = path.join(root, 'timelines');
+    if (!fs.existsSync(timelinesDir)) return null;
+    for (const file of fs.readdirSync(timelinesDir)) {
+      const timeline = readFixture(path.join(timelinesDir, file));
+      const tweet = (timeline?.data || []).find(entry => entry.id === id);
+      if (tweet) return tweet;
+    }
+    return null;
+  }
+
+  async function lookupTweets(ids) {
+    const data = [];
+    const errors = [];
+    ids.forEach(id => {
+      const tweet = findTweet(id);
+      if (tweet) data.push(tweet);
+      else errors.push({ value: id, detail: `Could not find tweet with ids: [${id}].`, title: 'Not Found Error' });
+    });
+    return errors.length ? { data, errors } : { data };
+  }
+
+  return { name: 'fixture', getUserByUsername, getUserTimeline, lookupTweets, searchRecent };
+}
+
+module.exports = { createFixtureClient };
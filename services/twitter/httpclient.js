@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { ENDPOINTS } = require('./ratelimit');
+const { twitterRequests } = require('../metrics');
+const { createLogger } = require('../logger');
+
+const log = createLogger('twitter');
+
+const API_BASE = 'https://api.twitter.com/2';
+
+// Real X API v2 client. When recordDir is set every response body is also written to disk
+// in the layout the fixture client reads, so live traffic can be replayed offline.
+// Rate-limit headers of every response, failed ones included, are fed to the rateLimits tracker.
+function createHttpClient({ bearerToken, tokenId = 'default', recordDir, rateLimits } = {}) {
+  if (!bearerToken || typeof bearerToken !== 'string') {
+    throw new Error('[Twitter] X_BEARER_TOKEN is not set or invalid');
+  }
+
+  const http = axios.create({
+    baseURL: API_BASE,
+    headers: {
+      Authorization: `Bearer ${bearerToken}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  async function request(endpoint, url, params) {
+    const startedAt = Date.now();
+    try {
+      const response = await http.get(url, { params });
+      twitterRequests.inc({ endpoint, token: tokenId, status: response.status });
+      log.debug(`${endpoint} ${response.status}`, { endpoint, tokenId, status: response.status, durationMs: Date.now() - startedAt });
+      if (rateLimits) rateLimits.record(endpoint, response.headers);
+      return response;
+    } catch (err) {
+      twitterRequests.inc({ endpoint, token: tokenId, status: err.response ? err.response.status : 'network_error' });
+      log.warn(`${endpoint} failed`, { endpoint, tokenId, status: err.response?.status, durationMs: Date.now() - startedAt, err });
+      if (rateLimits && err.response) rateLimits.record(endpoint, err.response.headers);
+      throw err;
+    }
+  }
+
+  function record(relativePath, body) {
+    if (!recordDir) return;
+    const file = path.join(recordDir, relativePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(body, null, 2));
+    log.debug('Recorded response', { file });
+  }
+
+  // The pages of one paginated fetch are merged into a single recording, since the fixture client
+  // serves each timeline or search as one body. A request without a page token starts a new one.
+  function recordPage(relativePath, body, params) {
+    if (!recordDir) return;
+    // A replayed next_token would page the same body again
+    const meta = { ...body.meta };
+    delete meta.next_token;
+    const isFollowUp = Boolean(params?.pagination_token || params?.next_token);
+    const file = path.join(recordDir, relativePath);
+    const previous = isFollowUp && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    if (!previous) {
+      record(relativePath, { ...body, meta });
+      return;
+    }
+    const data = [...(previous.data || []), ...(body.data || [])];
+    const users = [...(previous.includes?.users || []), ...(body.includes?.users || [])];
+    record(relativePath, {
+      ...previous,
+      data,
+      ...(users.length && { includes: { ...previous.includes, users } }),
+      meta: { ...previous.meta, result_count: data.length, oldest_id: meta.oldest_id || previous.meta?.oldest_id }
+    });
+  }
+
+  async function getUserByUsername(username, params) {
+    const response = await request(ENDPOINTS.USER_LOOKUP, `/users/by/username/${encodeURIComponent(username)}`, params);
+    record(path.join('users', `${username.toLowerCase()}.json`), response.data);
+    return response.data;
+  }
+
+  async function getUserTimeline(userId, params) {
+    const response = await request(ENDPOINTS.USER_TIMELINE, `/users/${encodeURIComponent(userId)}/tweets`, params);
+    recordPage(path.join('timelines', `${userId}.json`), response.data, params);
+    return response.data;
+  }
+
+  async function lookupTweets(ids, params) {
+    const response = await request(ENDPOINTS.TWEETS_LOOKUP, '/tweets', { ...params, ids: ids.join(',') });
+    if (recordDir) {
+      (response.data.data || []).forEach(tweet => record(path.join('tweets', `${tweet.id}.json`), { data: tweet }));
+    }
+    return response.data;
+  }
+
+  async function searchRecent(params) {
+    const response = await request(ENDPOINTS.RECENT_SEARCH, '/tweets/search/recent', params);
+    recordPage(path.join('search', 'recent.json'), response.data, params);
+    return response.data;
+  }
+
+  return { name: 'http', getUserByUsername, getUserTimeline, lookupTweets, searchRecent };
+}
+
+module.exports = { createHttpClient };
@@ -0,0 +1,274 @@
+const { createHttpClient } = require('./httpclient');
+const { createFixtureClient } = require('./fixtureclient');
+const { ENDPOINTS } = require('./ratelimit');
+const { createTokenPool, parseBearerTokens, tokenHint } = require('./tokenpool');
+const { twitterRateLimitHits, twitterBackoffSeconds } = require('../metrics');
+const { createLogger } = require('../logger');
+
+const log = createLogger('twitter');
+
+const TIMELINE_PAGE_SIZE = 100;
+const DEFAULT_TIMELINE_PAGE_BUDGET = 5;
+const DEFAULT_SEARCH_PAGE_BUDGET = 3;
+
+let pool = null;
+
+function poolOptions() {
+  return {
+    onBackoff: (token, endpoint, seconds) => twitterBackoffSeconds.inc({ endpoint, token }, seconds)
+  };
+}
+
+function createPool() {
+  const provider = process.env.TWITTER_CLIENT || 'http';
+  if (provider === 'fixture') {
+    return createTokenPool([{
+      id: 'fixture',
+      hint: null,
+      createClient: () => createFixtureClient({ dir: process.env.TWITTER_FIXTURE_DIR })
+    }], poolOptions());
+  }
+  if (provider === 'http') {
+    const tokens = parseBearerTokens();
+    if (!tokens.length) {
+      throw new Error('[Twitter] X_BEARER_TOKENS or X_BEARER_TOKEN is not set');
+    }
+    return createTokenPool(tokens.map((bearerToken, index) => ({
+      id: `token-${index + 1}`,
+      hint: tokenHint(bearerToken),
+      createClient: rateLimits => createHttpClient({
+        bearerToken,
+        tokenId: `token-${index + 1}`,
+        recordDir: process.env.TWITTER_RECORD_DIR,
+        rateLimits
+      })
+    })), poolOptions());
+  }
+  throw new Error(`[Twitter] Unknown TWITTER_CLIENT provider: ${provider}`);
+}
+
+function getPool() {
+  if (!pool) {
+    pool = createPool();
+    log.info(`Using ${process.env.TWITTER_CLIENT || 'http'} client with ${pool.size} token(s)`, { tokens: pool.size });
+  }
+  return pool;
+}
+
+// First client in rotation, for callers that need one outside callTwitter
+function getClient() {
+  return getPool().acquire(null)?.client || null;
+}
+
+// Replaces the pool with a single client, e.g. a stub in scripts
+function setClient(newClient) {
+  pool = createTokenPool([{ id: newClient.name || 'custom', hint: null, createClient: () => newClient }], poolOptions());
+}
+
+// Without an endpoint these report on every bucket: limited if any endpoint is limited,
+// until the latest reset among them. An endpoint only counts as limited once every token is.
+function getRateLimitUntil(endpoint) {
+  if (endpoint) {
+    return getPool().limitedUntil(endpoint);
+  }
+  return getRateLimitBuckets()
+    .filter(bucket => bucket.limited)
+    .reduce((latest, bucket) => (!latest || bucket.limitedUntil > latest ? bucket.limitedUntil : latest), null);
+}
+
+function isRateLimited(endpoint) {
+  return Boolean(getRateLimitUntil(endpoint));
+}
+
+function getRateLimitBuckets() {
+  return getPool().getBuckets();
+}
+
+function getTokenPoolState() {
+  return getPool().getState();
+}
+
+// Runs fn against the next healthy token. A 429 or 401 takes that token out of rotation and the
+// call is retried on the next one; when every token has been tried the last error is rethrown.
+async function callTwitter(endpoint, fn) {
+  const tokens = getPool();
+  const tried = new Set();
+  let lastError = null;
+  while (true) {
+    const entry = tokens.acquire(endpoint, tried);
+    if (!entry) {
+      if (lastError) throw lastError;
+      throw { response: { status: 429 }, message: `Rate limit active on ${endpoint} until ${tokens.limitedUntil(endpoint)}` };
+    }
+    tried.add(entry);
+    try {
+      return await fn(entry.client);
+    } catch (err) {
+      const status = err.response?.status;
+      if (status === 429) {
+        twitterRateLimitHits.inc({ endpoint, token: entry.id });
+        tokens.markLimited(entry, endpoint, err.response.headers);
+      } else if (status === 401) {
+        tokens.markUnauthorized(entry);
+      } else {
+        throw err;
+      }
+      lastError = err;
+      if (tokens.size > 1) {
+        log.info(`Failing over from ${entry.id} after ${status} on ${endpoint}`, { tokenId: entry.id, endpoint, status });
+      }
+    }
+  }
+}
+
+async function fetchTwitterUser(username) {
+  const body = await callTwitter(ENDPOINTS.USER_LOOKUP, twitter => twitter.getUserByUsername(username, {
+    'user.fields': 'id,name,username,profile_image_url,public_metrics'
+  }));
+  log.debug('User lookup', { username, found: Boolean(body.data) });
+  return body.data;
+}
+
+// Follows next_token until the results are exhausted or the page budget is spent. A 429 after
+// the first page keeps what was already fetched and flags the result as interrupted so callers
+// don't advance their cursor past missing tweets; a spent budget flags it as truncated, with the
+// oldest tweet reached so the next fetch can continue below it.
+async function fetchPages({ endpoint, label, pageBudget, tokenParam, request }) {
+  const tweets = [];
+  const users = [];
+  let newestId = null;
+  let oldestId = null;
+  let nextToken = null;
+  let pages = 0;
+  let interrupted = false;
+  let truncated = false;
+
+  while (true) {
+    if (pages >= pageBudget) {
+      truncated = true;
+      log.info(`Page budget reached for ${label}, older tweets left for the next run`, { label, pageBudget, oldestId });
+      break;
+    }
+    let body;
+    try {
+      body = await callTwitter(endpoint, twitter => request(twitter, nextToken ? { [tokenParam]: nextToken } : {}));
+    } catch (err) {
+      if (pages > 0 && err.response?.status === 429) {
+        interrupted = true;
+        log.warn(`Pagination for ${label} interrupted by rate limit`, { label, pages });
+        break;
+      }
+      throw err;
+    }
+    log.debug(`Fetched ${label} page ${pages + 1}`, { label, page: pages + 1, resultCount: body.meta?.result_count || 0 });
+    pages++;
+    tweets.push(...(body.data || []));
+    users.push(...(body.includes?.users || []));
+    if (!newestId && body.meta?.newest_id) {
+      newestId = body.meta.newest_id;
+    }
+    if (body.meta?.oldest_id) {
+      oldestId = body.meta.oldest_id;
+    }
+    nextToken = body.meta?.next_token;
+    if (!nextToken) break;
+  }
+
+  return { tweets, users, newestId, oldestId, pages, interrupted, truncated };
+}
+
+// Where the next incremental fetch starts. Results come newest first, so a fetch cut short by the
+// page budget leaves a gap between the stored sinceId and the oldest tweet it reached: sinceId stays
+// put and the next fetches page down through the gap from untilId, holding the newest tweet seen in
+// pendingSinceId until the gap is closed. An interrupted fetch leaves the cursor as it was.
+function nextCursor(cursor, result) {
+  const current = {
+    sinceId: cursor?.sinceId || null,
+    untilId: cursor?.untilId || null,
+    pendingSinceId: cursor?.pendingSinceId || null
+  };
+  if (result.interrupted) return current;
+  const newestId = current.pendingSinceId || result.newestId;
+  if (result.truncated) {
+    return { sinceId: current.sinceId, untilId: result.oldestId || current.untilId, pendingSinceId: newestId };
+  }
+  return { sinceId: newestId || current.sinceId, untilId: null, pendingSinceId: null };
+}
+
+// Pages through the user's timeline newest-first. With sinceId only tweets newer than the
+// stored cursor are returned, and with untilId only tweets older than that one.
+async function fetchUserTimeline(userId, { sinceId, untilId } = {}) {
+  const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+  const params = {
+    'tweet.fields': 'created_at,public_metrics,text,referenced_tweets,conversation_id,in_reply_to_user_id',
+    max_results: TIMELINE_PAGE_SIZE,
+    start_time: sevenDaysAgo
+  };
+  if (sinceId) {
+    params.since_id = sinceId;
+  }
+  if (untilId) {
+    params.until_id = untilId;
+  }
+  return fetchPages({
+    endpoint: ENDPOINTS.USER_TIMELINE,
+    label: `timeline of user ${userId}`,
+    pageBudget: parseInt(process.env.TIMELINE_PAGE_BUDGET) || DEFAULT_TIMELINE_PAGE_BUDGET,
+    tokenParam: 'pagination_token',
+    request: (twitter, page) => twitter.getUserTimeline(userId, { ...params, ...page })
+  });
+}
+
+// Recent search over the last 7 days, with the authors expanded so callers can tell
+// registered users from new leads
+async function searchRecentTweets(query, { sinceId, untilId } = {}) {
+  const params = {
+    query,
+    'tweet.fields': 'created_at,public_metrics,text,referenced_tweets,author_id,conversation_id,in_reply_to_user_id',
+    expansions: 'author_id',
+    'user.fields': 'id,name,username,profile_image_url,public_metrics',
+    max_results: TIMELINE_PAGE_SIZE
+  };
+  if (sinceId) {
+    params.since_id = sinceId;
+  }
+  if (untilId) {
+    params.until_id = untilId;
+  }
+  return fetchPages({
+    endpoint: ENDPOINTS.RECENT_SEARCH,
+    label: `recent search "${query}"`,
+    pageBudget: parseInt(process.env.SEARCH_PAGE_BUDGET) || DEFAULT_SEARCH_PAGE_BUDGET,
+    tokenParam: 'next_token',
+    request: (twitter, page) => twitter.searchRecent({ ...params, ...page })
+  });
+}
+
+const TWEETS_LOOKUP_BATCH_SIZE = 100;
+
+// Looks up current public metrics for up to 100 tweet ids; deleted or protected tweets are simply missing
+async function lookupTweets(ids) {
+  if (ids.length > TWEETS_LOOKUP_BATCH_SIZE) {
+    throw new Error(`[Twitter] Tweets lookup accepts at most ${TWEETS_LOOKUP_BATCH_SIZE} ids`);
+  }
+  const body = await callTwitter(ENDPOINTS.TWEETS_LOOKUP, twitter => twitter.lookupTweets(ids, {
+    'tweet.fields': 'created_at,public_metrics,text'
+  }));
+  return body.data || [];
+}
+
+module.exports = {
+  ENDPOINTS,
+  TWEETS_LOOKUP_BATCH_SIZE,
+  getClient,
+  setClient,
+  getRateLimitUntil,
+  isRateLimited,
+  getRateLimitBuckets,
+  getTokenPoolState,
+  fetchTwitterUser,
+  fetchUserTimeline,
+  searchRecentTweets,
+  nextCursor,
+  lookupTweets
+};
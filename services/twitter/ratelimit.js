@@ -0,0 +1,102 @@
+const { createLogger } = require('../logger');
+
+const log = createLogger('twitter');
+
+const DEFAULT_BACKOFF_MS = 15 * 60 * 1000;
+
+// Rate-limit bucket keys, one per X API endpoint the client calls
+const ENDPOINTS = {
+  USER_LOOKUP: 'GET /2/users/by/username/:username',
+  USER_TIMELINE: 'GET /2/users/:id/tweets',
+  TWEETS_LOOKUP: 'GET /2/tweets',
+  RECENT_SEARCH: 'GET /2/tweets/search/recent'
+};
+
+function parseReset(headers) {
+  const reset = parseInt(headers?.['x-rate-limit-reset']);
+  return isNaN(reset) ? null : new Date(reset * 1000);
+}
+
+function parseCount(value) {
+  const count = parseInt(value);
+  return isNaN(count) ? null : count;
+}
+
+// Tracks X API rate-limit windows per endpoint from the x-rate-limit-* response headers,
+// so a 429 on one endpoint doesn't block calls to the others. onBackoff(endpoint, seconds) is told
+// how much blocked time each new limit adds beyond the window already in force. name labels the
+// tracker's log lines, e.g. with the token it belongs to.
+function createRateLimitTracker({ name, onBackoff } = {}) {
+  const buckets = new Map();
+
+  function limitUntil(bucket, until) {
+    const from = Math.max(Date.now(), bucket.limitedUntil ? bucket.limitedUntil.getTime() : 0);
+    if (onBackoff && until.getTime() > from) {
+      onBackoff(bucket.endpoint, (until.getTime() - from) / 1000);
+    }
+    bucket.limitedUntil = until;
+  }
+
+  function getBucket(endpoint) {
+    if (!buckets.has(endpoint)) {
+      buckets.set(endpoint, {
+        endpoint,
+        limit: null,
+        remaining: null,
+        reset: null,
+        limitedUntil: null,
+        updatedAt: null
+      });
+    }
+    return buckets.get(endpoint);
+  }
+
+  function record(endpoint, headers) {
+    const bucket = getBucket(endpoint);
+    const limit = parseCount(headers?.['x-rate-limit-limit']);
+    const remaining = parseCount(headers?.['x-rate-limit-remaining']);
+    const reset = parseReset(headers);
+    if (limit !== null) bucket.limit = limit;
+    if (remaining !== null) bucket.remaining = remaining;
+    if (reset) bucket.reset = reset;
+    bucket.updatedAt = new Date();
+    // An exhausted window blocks further calls until the reported reset, before X has to answer with a 429
+    if (bucket.remaining === 0 && bucket.reset && bucket.reset > new Date()) {
+      limitUntil(bucket, bucket.reset);
+    }
+    return bucket;
+  }
+
+  function markLimited(endpoint, headers) {
+    const bucket = record(endpoint, headers);
+    const reset = parseReset(headers);
+    bucket.remaining = 0;
+    limitUntil(bucket, reset && reset > new Date() ? reset : new Date(Date.now() + DEFAULT_BACKOFF_MS));
+    log.warn(`Rate limit hit on ${endpoint}`, { endpoint, tokenId: name, limitedUntil: bucket.limitedUntil });
+    return bucket;
+  }
+
+  function limitedUntil(endpoint) {
+    const bucket = buckets.get(endpoint);
+    if (!bucket || !bucket.limitedUntil || bucket.limitedUntil <= new Date()) {
+      return null;
+    }
+    return bucket.limitedUntil;
+  }
+
+  function isLimited(endpoint) {
+    return Boolean(limitedUntil(endpoint));
+  }
+
+  function getBuckets() {
+    const now = new Date();
+    return Array.from(buckets.values()).map(bucket => ({
+      ...bucket,
+      limited: Boolean(bucket.limitedUntil && bucket.limitedUntil > now)
+    }));
+  }
+
+  return { record, markLimited, limitedUntil, isLimited, getBuckets };
+}
+
+module.exports = { ENDPOINTS, createRateLimitTracker };
@@ -0,0 +1,116 @@
+const { createRateLimitTracker } = require('./ratelimit');
+const { createLogger } = require('../logger');
+
+const log = createLogger('twitter');
+
+const DEFAULT_UNAUTHORIZED_BACKOFF_MS = 60 * 60 * 1000;
+
+// X_BEARER_TOKENS takes a comma or whitespace separated list; X_BEARER_TOKEN still works for a single app
+function parseBearerTokens(env = process.env) {
+  const tokens = (env.X_BEARER_TOKENS || env.X_BEARER_TOKEN || '')
+    .split(/[\s,]+/)
+    .filter(Boolean);
+  return Array.from(new Set(tokens));
+}
+
+// Enough to tell tokens apart in logs and /rate-limit-status without exposing them
+function tokenHint(token) {
+  return token.length > 8 ? `…${token.slice(-4)}` : '…';
+}
+
+function earliest(dates) {
+  return dates.filter(Boolean).reduce((first, date) => (!first || date < first ? date : first), null);
+}
+
+// One client per X app token, each with its own rate-limit tracker. Calls rotate round-robin over the
+// tokens that are neither limited on the endpoint nor recently rejected with a 401, so one exhausted
+// window only takes its own token out of rotation.
+// slots: [{ id, hint, createClient(rateLimits) }]
+function createTokenPool(slots, { onBackoff, unauthorizedBackoffMs = DEFAULT_UNAUTHORIZED_BACKOFF_MS } = {}) {
+  const entries = slots.map(slot => {
+    const rateLimits = createRateLimitTracker({
+      name: slot.id,
+      onBackoff: onBackoff && ((endpoint, seconds) => onBackoff(slot.id, endpoint, seconds))
+    });
+    return { id: slot.id, hint: slot.hint, rateLimits, client: slot.createClient(rateLimits), unauthorizedUntil: null };
+  });
+  let cursor = 0;
+
+  function isAuthorized(entry) {
+    return !entry.unauthorizedUntil || entry.unauthorizedUntil <= new Date();
+  }
+
+  function isUsable(entry, endpoint) {
+    return isAuthorized(entry) && !entry.rateLimits.isLimited(endpoint);
+  }
+
+  // Next usable token after the last one handed out; tokens in `exclude` were already tried for this call
+  function acquire(endpoint, exclude = new Set()) {
+    for (let offset = 0; offset < entries.length; offset++) {
+      const index = (cursor + offset) % entries.length;
+      const entry = entries[index];
+      if (!exclude.has(entry) && isUsable(entry, endpoint)) {
+        cursor = (index + 1) % entries.length;
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  function markLimited(entry, endpoint, headers) {
+    return entry.rateLimits.markLimited(endpoint, headers);
+  }
+
+  function markUnauthorized(entry) {
+    entry.unauthorizedUntil = new Date(Date.now() + unauthorizedBackoffMs);
+    log.warn(`Token ${entry.id} rejected with 401, out of rotation`, { tokenId: entry.id, hint: entry.hint, until: entry.unauthorizedUntil });
+  }
+
+  // An endpoint is limited only when every authorized token is, until the first of them frees up
+  function limitedUntil(endpoint) {
+    const authorized = entries.filter(isAuthorized);
+    if (!authorized.length || authorized.some(entry => !entry.rateLimits.isLimited(endpoint))) {
+      return null;
+    }
+    return earliest(authorized.map(entry => entry.rateLimits.limitedUntil(endpoint)));
+  }
+
+  // Per-endpoint view summed over the authorized tokens, in the shape a single tracker reports
+  function getBuckets() {
+    const byEndpoint = new Map();
+    entries.filter(isAuthorized).forEach(entry => {
+      entry.rateLimits.getBuckets().forEach(bucket => {
+        if (!byEndpoint.has(bucket.endpoint)) byEndpoint.set(bucket.endpoint, []);
+        byEndpoint.get(bucket.endpoint).push(bucket);
+      });
+    });
+    return Array.from(byEndpoint.entries()).map(([endpoint, buckets]) => {
+      const sum = field => (buckets.some(bucket => bucket[field] !== null) ? buckets.reduce((total, bucket) => total + (bucket[field] || 0), 0) : null);
+      const until = limitedUntil(endpoint);
+      return {
+        endpoint,
+        limit: sum('limit'),
+        remaining: sum('remaining'),
+        reset: earliest(buckets.map(bucket => bucket.reset)),
+        limitedUntil: until,
+        updatedAt: buckets.map(bucket => bucket.updatedAt).filter(Boolean).sort((a, b) => b - a)[0] || null,
+        limited: Boolean(until),
+        tokens: entries.filter(entry => isUsable(entry, endpoint)).length
+      };
+    });
+  }
+
+  function getState() {
+    return entries.map(entry => ({
+      id: entry.id,
+      hint: entry.hint,
+      status: !isAuthorized(entry) ? 'unauthorized' : entry.rateLimits.getBuckets().some(bucket => bucket.limited) ? 'limited' : 'active',
+      unauthorizedUntil: isAuthorized(entry) ? null : entry.unauthorizedUntil,
+      buckets: entry.rateLimits.getBuckets()
+    }));
+  }
+
+  return { size: entries.length, acquire, markLimited, markUnauthorized, limitedUntil, getBuckets, getState };
+}
+
+module.exports = { createTokenPool, parseBearerTokens, tokenHint };
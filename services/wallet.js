@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const WalletChallenge = require('../models/walletchallenge');
+const { createLogger } = require('./logger');
+
+const log = createLogger('wallet');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+// DER SubjectPublicKeyInfo header for a raw 32-byte ed25519 key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+const DEFAULT_CHALLENGE_TTL_MINUTES = 10;
+
+function decodeBase58(value) {
+  let leadingZeros = 0;
+  while (leadingZeros < value.length && value[leadingZeros] === '1') {
+    leadingZeros++;
+  }
+  const bytes = [];
+  for (const char of value) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) {
+      throw new Error(`Invalid base58 character "${char}"`);
+    }
+    let carry = digit;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  return Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(bytes.reverse())]);
+}
+
+// Wallets hand back signatures base58-encoded (Solana convention) or base64-encoded
+function decodeSignature(signature) {
+  if (typeof signature !== 'string') return null;
+  try {
+    const bytes = decodeBase58(signature);
+    if (bytes.length === 64) return bytes;
+  } catch (err) {
+    // not base58, fall through to base64
+  }
+  const bytes = Buffer.from(signature, 'base64');
+  return bytes.length === 64 ? bytes : null;
+}
+
+function verifyWalletSignature(message, signature, address) {
+  let publicKeyBytes;
+  try {
+    publicKeyBytes = decodeBase58(address);
+  } catch (err) {
+    return false;
+  }
+  const signatureBytes = decodeSignature(signature);
+  if (publicKeyBytes.length !== 32 || !signatureBytes) {
+    return false;
+  }
+  const publicKey = crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, publicKeyBytes]),
+    format: 'der',
+    type: 'spki'
+  });
+  return crypto.verify(null, Buffer.from(message, 'utf8'), publicKey, signatureBytes);
+}
+
+function buildChallengeMessage({ username, SOL_ID, nonce, expiresAt }) {
+  return [
+    'Blabz wallet verification',
+    `Twitter: @${username}`,
+    `Wallet: ${SOL_ID}`,
+    `Nonce: ${nonce}`,
+    `Expires: ${expiresAt.toISOString()}`
+  ].join('\n');
+}
+
+async function issueChallenge(username, SOL_ID) {
+  const ttlMinutes = parseFloat(process.env.WALLET_CHALLENGE_TTL_MINUTES) || DEFAULT_CHALLENGE_TTL_MINUTES;
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+  const message = buildChallengeMessage({ username, SOL_ID, nonce, expiresAt });
+  const challenge = await WalletChallenge.create({ nonce, username, SOL_ID, message, expiresAt });
+  log.info('Wallet challenge issued', { username, expiresAt });
+  return challenge;
+}
+
+// Consumes the challenge only when the signature checks out, so a bad signature
+// doesn't burn the nonce. Returns null when the proof is rejected.
+async function redeemChallenge({ nonce, username, SOL_ID, signature }) {
+  const challenge = await WalletChallenge.findOne({
+    nonce,
+    username,
+    SOL_ID,
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).lean();
+  if (!challenge) return null;
+  if (!verifyWalletSignature(challenge.message, signature, SOL_ID)) return null;
+  return WalletChallenge.findOneAndUpdate(
+    { _id: challenge._id, usedAt: null },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  ).lean();
+}
+
+module.exports = {
+  decodeBase58,
+  verifyWalletSignature,
+  issueChallenge,
+  redeemChallenge
+};
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookdelivery');
+const { toThreadPayload } = require('./posts');
+const { createLogger } = require('./logger');
+
+const log = createLogger('webhooks');
+
+const WEBHOOK_EVENTS = ['post.scored', 'post.rescored', 'post.flagged'];
+const MAX_ATTEMPTS = 6;
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const RETRY_BATCH_SIZE = 50;
+
+// Project-owner keys choose the receiver URL, so it has to be a public https endpoint: loopback,
+// private, link-local (cloud metadata) and other reserved ranges would let them reach internal services.
+// WEBHOOK_ALLOW_PRIVATE_URLS=true lifts this for local development against a receiver on this machine.
+const privateRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => privateRanges.addSubnet(network, prefix, 'ipv4'));
+[['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([network, prefix]) => privateRanges.addSubnet(network, prefix, 'ipv6'));
+
+function allowPrivateUrls() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+}
+
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges by BlockList itself
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || privateRanges.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Resolves the receiver and returns why it can't be used, or null when it can
+async function checkWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return 'url must be an absolute URL';
+  }
+  if (allowPrivateUrls()) {
+    return ['http:', 'https:'].includes(parsed.protocol) ? null : 'url must use http or https';
+  }
+  if (parsed.protocol !== 'https:') return 'url must use https';
+  if (parsed.username || parsed.password) return 'url must not contain credentials';
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+  } catch (err) {
+    return `url host ${host} could not be resolved`;
+  }
+  return addresses.some(isPrivateAddress) ? 'url must not point to a private or reserved address' : null;
+}
+
+// The registration check can be outrun by DNS changing later, so every connection re-checks what it resolved to
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const resolved = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (!allowPrivateUrls() && resolved.some(isPrivateAddress)) {
+      return callback(Object.assign(new Error(`${hostname} resolves to a private or reserved address`), { code: 'EPRIVATEADDRESS' }));
+    }
+    callback(null, address, family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: publicOnlyLookup });
+const httpsAgent = new https.Agent({ lookup: publicOnlyLookup });
+
+// Receivers verify with HMAC-SHA256(secret, `${timestamp}.${rawBody}`) and reject stale timestamps
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function retryDelay(attempts) {
+  return BASE_RETRY_DELAY_MS * 2 ** (attempts - 1);
+}
+
+async function attemptDelivery(delivery, webhook) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempts = delivery.attempts + 1;
+  const update = { attempts, lastAttemptAt: new Date() };
+
+  try {
+    const problem = await checkWebhookUrl(webhook.url);
+    if (problem) {
+      throw new Error(problem);
+    }
+    const response = await axios.post(webhook.url, body, {
+      timeout: DELIVERY_TIMEOUT_MS,
+      // A redirect could point anywhere, internal addresses included
+      maxRedirects: 0,
+      httpAgent,
+      httpsAgent,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Blabz-Webhooks/1.0',
+        'X-Blabz-Event': delivery.event,
+        'X-Blabz-Delivery': String(delivery._id),
+        'X-Blabz-Signature': `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, body)}`
+      }
+    });
+    Object.assign(update, { status: 'succeeded', responseStatus: response.status, error: '', deliveredAt: new Date() });
+    log.info(`Delivered ${delivery.event}`, { deliveryId: delivery._id, event: delivery.event, url: webhook.url, status: response.status });
+  } catch (err) {
+    const exhausted = attempts >= MAX_ATTEMPTS;
+    Object.assign(update, {
+      status: exhausted ? 'failed' : 'pending',
+      responseStatus: err.response?.status || null,
+      error: err.message,
+      nextAttemptAt: exhausted ? null : new Date(Date.now() + retryDelay(attempts))
+    });
+    log.warn(`Delivery of ${delivery.event} failed`, { deliveryId: delivery._id, url: webhook.url, attempts, err });
+  }
+
+  await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: update });
+}
+
+// Wallet and device ids stay out of payloads sent to third parties
+function toWebhookPost(post) {
+  return {
+    postId: post.postId,
+    userId: post.userId,
+    username: post.username,
+    content: post.content,
+    project: post.project,
+    score: post.score,
+    blabz: post.blabz,
+    scores: post.scores || [],
+    likes: post.likes,
+    retweets: post.retweets,
+    replies: post.replies,
+    tweetUrl: post.tweetUrl,
+    tweetType: post.tweetType,
+    thread: toThreadPayload(post.thread),
+    createdAt: post.createdAt,
+    duplicate: post.duplicate?.flagged
+      ? { clusterId: post.duplicate.clusterId, matchedPostId: post.duplicate.matchedPostId, distance: post.duplicate.distance, action: post.duplicate.action }
+      : null
+  };
+}
+
+// Queues one delivery per subscribed webhook of each project and sends them in the background;
+// callers never wait on receivers
+async function emitEvent(event, projects, data) {
+  try {
+    const webhooks = await Webhook.find({ project: { $in: projects }, active: true, events: event }).lean();
+    for (const webhook of webhooks) {
+      // nextAttemptAt is a safety net: if the process dies before the first attempt the retry job picks it up
+      const delivery = await WebhookDelivery.create({
+        webhookId: webhook._id,
+        project: webhook.project,
+        event,
+        payload: { event, project: webhook.project, createdAt: new Date(), data },
+        nextAttemptAt: new Date(Date.now() + BASE_RETRY_DELAY_MS)
+      });
+      attemptDelivery(delivery, webhook).catch(err => log.error('Delivery error', { deliveryId: delivery._id, err }));
+    }
+  } catch (err) {
+    log.error(`Failed to queue ${event}`, { event, err });
+  }
+}
+
+async function retryDueDeliveries() {
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(RETRY_BATCH_SIZE)
+    .lean();
+  if (!due.length) return;
+
+  const webhooks = await Webhook.find({ _id: { $in: due.map(delivery => delivery.webhookId) } }).lean();
+  const webhooksById = new Map(webhooks.map(webhook => [String(webhook._id), webhook]));
+  log.info(`Retrying ${due.length} deliveries`, { count: due.length });
+  for (const delivery of due) {
+    const webhook = webhooksById.get(String(delivery.webhookId));
+    if (!webhook || !webhook.active) {
+      await WebhookDelivery.updateOne(
+        { _id: delivery._id },
+        { $set: { status: 'failed', error: 'Webhook removed or disabled', nextAttemptAt: null } }
+      );
+      continue;
+    }
+    await attemptDelivery(delivery, webhook);
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  retryDelay,
+  checkWebhookUrl,
+  signPayload,
+  attemptDelivery,
+  toWebhookPost,
+  emitEvent,
+  retryDueDeliveries
+};
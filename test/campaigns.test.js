@@ -0,0 +1,160 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+
+const Campaign = require('../models/campaign');
+const CampaignContribution = require('../models/campaigncontribution');
+const Post = require('../models/post');
+const { applyCampaigns, releaseCampaigns, campaignStatus } = require('../services/campaigns');
+
+let campaigns;
+let contributions;
+let storedPosts;
+
+function query(result) {
+  const chain = { select: () => chain, sort: () => chain, lean: async () => result };
+  return chain;
+}
+
+function makeCampaign(overrides = {}) {
+  return {
+    _id: new Campaign()._id,
+    name: 'launch',
+    project: 'SOL',
+    startsAt: new Date('2026-10-01T00:00:00Z'),
+    endsAt: new Date('2026-10-31T00:00:00Z'),
+    requiredHashtags: [],
+    budget: 1,
+    spent: 0,
+    perUserCap: 0,
+    ...overrides
+  };
+}
+
+function postData(postId, blabz, overrides = {}) {
+  return {
+    postId,
+    userId: 'u1',
+    username: 'blabz_demo',
+    SOL_ID: 'wallet',
+    createdAt: new Date('2026-10-10T00:00:00Z'),
+    hashtags: ['solana'],
+    score: 60,
+    blabz,
+    scores: [{ project: 'SOL', score: 60, blabz }],
+    ...overrides
+  };
+}
+
+function contributionKey(filter) {
+  return `${filter.campaignId}:${filter.userId}`;
+}
+
+beforeEach(() => {
+  campaigns = [];
+  contributions = new Map();
+  storedPosts = new Map();
+  mock.method(Campaign, 'find', () => query(campaigns));
+  // The budget draw is one pipeline update in Mongo; this applies the same arithmetic to the amount in it
+  mock.method(Campaign, 'findOneAndUpdate', (filter, pipeline) => {
+    const campaign = campaigns.find(candidate => String(candidate._id) === String(filter._id));
+    if (!campaign || campaign.spent >= campaign.budget) return query(null);
+    const amount = pipeline[0].$set.spent.$min[1].$add[1];
+    const granted = Math.min(campaign.budget, campaign.spent + amount) - campaign.spent;
+    campaign.spent += granted;
+    return query({ ...campaign, lastDraw: granted });
+  });
+  mock.method(Campaign, 'updateOne', async (filter, update) => {
+    campaigns.find(candidate => String(candidate._id) === String(filter._id)).spent += update.$inc.spent;
+  });
+  mock.method(CampaignContribution, 'findOne', filter => query(contributions.get(contributionKey(filter)) || null));
+  mock.method(CampaignContribution, 'findOneAndUpdate', async (filter, update) => {
+    const existing = contributions.get(contributionKey(filter));
+    if (existing && filter.blabz && existing.blabz > filter.blabz.$lte) {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    const next = existing || { blabz: 0, posts: 0 };
+    contributions.set(contributionKey(filter), { blabz: next.blabz + update.$inc.blabz, posts: next.posts + update.$inc.posts });
+  });
+  mock.method(CampaignContribution, 'updateOne', async (filter, update) => {
+    const existing = contributions.get(contributionKey(filter));
+    contributions.set(contributionKey(filter), { blabz: existing.blabz + update.$inc.blabz, posts: existing.posts + update.$inc.posts });
+  });
+  mock.method(Post, 'findOne', filter => query(storedPosts.get(filter.postId) || null));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('a post inside a running campaign draws its blabz from the budget', async () => {
+  const campaign = makeCampaign();
+  campaigns.push(campaign);
+
+  const result = await applyCampaigns(postData('1', 0.2));
+
+  assert.equal(result.blabz, 0.2);
+  assert.deepEqual(result.campaigns, [{ campaignId: campaign._id, project: 'SOL', blabz: 0.2 }]);
+  assert.equal(campaign.spent, 0.2);
+  assert.deepEqual(contributions.get(`${campaign._id}:u1`), { blabz: 0.2, posts: 1 });
+});
+
+test('the last post gets what is left of the budget, then the campaign is exhausted', async () => {
+  const campaign = makeCampaign({ spent: 0.9 });
+  campaigns.push(campaign);
+
+  const partial = await applyCampaigns(postData('1', 0.25));
+  assert.equal(partial.blabz, 0.1);
+  assert.equal(campaignStatus(campaign, new Date('2026-10-10T00:00:00Z')), 'exhausted');
+
+  const nothing = await applyCampaigns(postData('2', 0.25));
+  assert.equal(nothing.blabz, 0);
+  assert.equal(campaign.spent, 1);
+});
+
+test('the per-user cap limits each user\'s draws across posts', async () => {
+  const campaign = makeCampaign({ perUserCap: 0.3 });
+  campaigns.push(campaign);
+
+  assert.equal((await applyCampaigns(postData('1', 0.2))).blabz, 0.2);
+  assert.equal((await applyCampaigns(postData('2', 0.2))).blabz, 0.1);
+  assert.equal((await applyCampaigns(postData('3', 0.2))).blabz, 0);
+  assert.ok(Math.abs(campaign.spent - 0.3) < 1e-9);
+  assert.equal((await applyCampaigns(postData('4', 0.2, { userId: 'u2' }))).blabz, 0.2);
+});
+
+test('only posts carrying the required hashtags draw from the campaign', async () => {
+  campaigns.push(makeCampaign({ requiredHashtags: ['SolanaSummer'] }));
+
+  const untagged = await applyCampaigns(postData('1', 0.2));
+  assert.equal(untagged.campaigns, undefined);
+  assert.equal(untagged.blabz, 0.2);
+
+  const tagged = await applyCampaigns(postData('2', 0.2, { hashtags: ['solanasummer'] }));
+  assert.equal(tagged.campaigns.length, 1);
+});
+
+test('a reprocessed post keeps its draw instead of drawing twice', async () => {
+  const campaign = makeCampaign();
+  campaigns.push(campaign);
+  const first = await applyCampaigns(postData('1', 0.2));
+  storedPosts.set('1', { campaigns: first.campaigns });
+
+  const again = await applyCampaigns(postData('1', 0.5));
+
+  assert.equal(again.blabz, 0.2);
+  assert.equal(campaign.spent, 0.2);
+});
+
+test('released draws go back to the budget and the user\'s contribution', async () => {
+  const campaign = makeCampaign({ perUserCap: 0.2 });
+  campaigns.push(campaign);
+  const drawn = await applyCampaigns(postData('1', 0.2));
+
+  await releaseCampaigns(drawn);
+
+  assert.ok(Math.abs(campaign.spent) < 1e-9);
+  assert.deepEqual(contributions.get(`${campaign._id}:u1`), { blabz: 0, posts: 0 });
+  assert.equal((await applyCampaigns(postData('2', 0.2))).blabz, 0.2);
+});
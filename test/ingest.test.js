@@ -0,0 +1,121 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'silent';
+
+const Post = require('../models/post');
+const ProcessedPost = require('../models/processedpost');
+const ScoringModel = require('../models/scoringmodel');
+const Campaign = require('../models/campaign');
+const Webhook = require('../models/webhook');
+const { groupThreads, processTweets } = require('../services/ingest');
+
+const timeline = require(path.join(__dirname, '../fixtures/twitter/timelines/1700000000000000001.json'));
+
+const USER_ID = '1700000000000000001';
+const twitterUser = { id: USER_ID, username: 'blabz_demo', public_metrics: { followers_count: 1200 } };
+const userDoc = { userId: USER_ID, username: 'blabz_demo', SOL_ID: 'demo-wallet', DEV_ID: '' };
+const dbProjects = [{ name: 'SOL', keywords: [] }];
+
+function tweet(id) {
+  return timeline.data.find(entry => entry.id === id);
+}
+
+// Chainable stand-in for a mongoose query resolving to `result`
+function query(result) {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    lean: async () => result,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+}
+
+let posts;
+let processed;
+
+beforeEach(() => {
+  posts = new Map();
+  processed = new Map();
+  mock.method(ProcessedPost, 'findOne', filter => query(processed.get(filter.postId) || null));
+  mock.method(ProcessedPost, 'find', filter => query([...processed.values()].filter(record =>
+    record.userId === filter.userId && record.conversationId === filter.conversationId && record.tweet !== null)));
+  mock.method(ProcessedPost, 'findOneAndUpdate', async (filter, record) => {
+    processed.set(filter.postId, { ...record });
+  });
+  mock.method(Post, 'findOne', filter => {
+    if (typeof filter.postId === 'string') return query(posts.get(filter.postId) || null);
+    const [byPostId, byConversation] = filter.$or;
+    return query([...posts.values()].find(post => post.userId === filter.userId &&
+      (byPostId.postId.$in.includes(post.postId) || post.thread?.conversationId === byConversation['thread.conversationId'])) || null);
+  });
+  mock.method(Post, 'find', () => query([]));
+  mock.method(Post, 'findOneAndUpdate', async (filter, update) => {
+    posts.set(filter.postId, { ...posts.get(filter.postId), ...update.$set });
+  });
+  mock.method(ScoringModel, 'findOne', () => query(null));
+  mock.method(Campaign, 'find', () => query([]));
+  mock.method(Webhook, 'find', () => query([]));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+function ingest(ids) {
+  return processTweets({ userDoc, twitterUser, tweets: ids.map(tweet), dbProjects });
+}
+
+test('groups the fixture timeline into threads and single tweets', () => {
+  const units = groupThreads(timeline.data, USER_ID);
+  const byConversation = units.map(unit => [unit.conversationId, unit.tweets.map(entry => entry.id)]);
+  assert.deepEqual(byConversation, [
+    ['1799999999999999990', ['1800000000000000007', '1800000000000000008']],
+    ['1800000000000000004', ['1800000000000000004', '1800000000000000005', '1800000000000000006']],
+    [null, ['1800000000000000003']],
+    [null, ['1800000000000000002']],
+    [null, ['1800000000000000001']]
+  ]);
+});
+
+test('scores a self-reply chain under someone else\'s tweet from its first reply', async () => {
+  const saved = await ingest(['1800000000000000008', '1800000000000000007']);
+
+  assert.equal(saved.length, 1);
+  assert.equal(saved[0].postId, '1800000000000000007');
+  assert.equal(saved[0].tweetType, 'replied_to');
+  assert.deepEqual(saved[0].thread, { conversationId: '1799999999999999990', tweetIds: ['1800000000000000007', '1800000000000000008'] });
+  assert.equal(processed.get('1800000000000000007').reason, 'scored');
+  assert.equal(processed.get('1800000000000000008').reason, 'scored');
+});
+
+test('a short opener skipped alone is joined by replies fetched in a later run', async () => {
+  assert.deepEqual(await ingest(['1800000000000000004']), []);
+  assert.equal(processed.get('1800000000000000004').reason, 'short');
+  assert.equal(processed.get('1800000000000000004').conversationId, '1800000000000000004');
+
+  const saved = await ingest(['1800000000000000006', '1800000000000000005']);
+
+  assert.equal(saved.length, 1);
+  assert.equal(saved[0].postId, '1800000000000000004');
+  assert.deepEqual(saved[0].thread.tweetIds, ['1800000000000000004', '1800000000000000005', '1800000000000000006']);
+  assert.match(saved[0].content, /^1\/ A short thread/);
+  for (const id of saved[0].thread.tweetIds) {
+    assert.equal(processed.get(id).reason, 'scored');
+    assert.equal(processed.get(id).tweet, null);
+  }
+});
+
+test('a short first reply under someone else\'s tweet is joined by its self-reply later', async () => {
+  assert.deepEqual(await ingest(['1800000000000000007']), []);
+  assert.equal(processed.get('1800000000000000007').reason, 'short');
+
+  const saved = await ingest(['1800000000000000008']);
+
+  assert.equal(saved.length, 1);
+  assert.equal(saved[0].postId, '1800000000000000007');
+  assert.deepEqual(saved[0].thread.tweetIds, ['1800000000000000007', '1800000000000000008']);
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+
+const { compileSafeRegex } = require('../services/saferegex');
+const { validateMatchRules, compileProjectMatcher } = require('../services/matcher');
+
+test('safe regexes agree with RegExp on the supported subset', () => {
+  const patterns = ['sol(ana)?', '^gm$', '\\bsol\\b', '[^a-z]{2,3}', '(?:foo|bar)baz', '\\$sol\\b', 'colou?r', '\\d+\\s*%', '[\\w-]+@', 'ab*?c'];
+  const texts = ['Solana rocks', 'gm', 'SOL is up', 'I use $SOL', 'foobaz', '50 %', 'colour', 'hello-world@', 'abbbc', '12', ''];
+  for (const pattern of patterns) {
+    const safe = compileSafeRegex(pattern);
+    const native = new RegExp(pattern, 'i');
+    for (const text of texts) {
+      assert.equal(safe.test(text), native.test(text), `${pattern} on ${JSON.stringify(text)}`);
+    }
+  }
+});
+
+test('patterns that backtrack catastrophically in RegExp finish quickly', () => {
+  const started = Date.now();
+  assert.equal(compileSafeRegex('(a|aa)+b').test('a'.repeat(50000)), false);
+  assert.equal(compileSafeRegex('(\\w+\\s?)*$x').test('word '.repeat(10000)), false);
+  assert.ok(Date.now() - started < 2000);
+});
+
+test('rejects regexes outside the supported subset with the reason', () => {
+  const { errors } = validateMatchRules({ regexes: ['jup+iter', '(a)\\1', '(?=sol)', 'x{500}'] });
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /"\(a\)\\1" is not supported: Backreferences/);
+  assert.match(errors[1], /Lookarounds/);
+  assert.match(errors[2], /Repeat counts/);
+});
+
+test('excludes match whole terms, with $ and # excludes matching tags', () => {
+  const match = compileProjectMatcher({
+    name: 'SOL',
+    matchRules: { regexes: ['jup+iter', '(?=stored before validation)'], exclude: ['rug', '$SCAM', '#nsfw'] }
+  });
+
+  assert.deepEqual(match('juppiter').matchedBy, ['regex:jup+iter']);
+  assert.equal(match('SOL rugby club').matched, true);
+  assert.deepEqual(match('SOL rug pull').excludedBy, ['exclude:rug']);
+  assert.equal(match('SOL $SCAM').matched, false);
+  assert.equal(match('SOL $SCAMMER').matched, true);
+  assert.equal(match('SOL #nsfw').matched, false);
+  assert.equal(match('SOL nsfw').matched, true);
+});
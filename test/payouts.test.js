@@ -0,0 +1,105 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.LOG_LEVEL = 'silent';
+
+const Post = require('../models/post');
+const PayoutSnapshot = require('../models/payoutsnapshot');
+const { hashLeaf, buildMerkleTree, getMerkleRoot, getMerkleProof, verifyMerkleProof } = require('../services/merkle');
+const { createPayoutSnapshot, getPayoutProof } = require('../services/payouts');
+const { decodeBase58 } = require('../services/wallet');
+
+const WALLETS = [
+  'So11111111111111111111111111111111111111112',
+  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
+  'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN'
+];
+
+function leaves(count) {
+  return Array.from({ length: count }, (_, index) => hashLeaf(index, crypto.randomBytes(32), 1000 + index));
+}
+
+test('every leaf proves against the root, for even and odd tree sizes', () => {
+  for (let count = 1; count <= 9; count++) {
+    const tree = leaves(count);
+    const layers = buildMerkleTree(tree);
+    const root = getMerkleRoot(layers);
+    tree.forEach((leaf, index) => {
+      assert.ok(verifyMerkleProof(leaf, getMerkleProof(layers, index), root), `leaf ${index} of ${count}`);
+    });
+  }
+});
+
+test('a proof fails for a changed amount, wallet or index', () => {
+  const wallet = crypto.randomBytes(32);
+  const tree = [hashLeaf(0, wallet, 500), ...leaves(4).slice(1)];
+  const layers = buildMerkleTree(tree);
+  const root = getMerkleRoot(layers);
+  const proof = getMerkleProof(layers, 0);
+
+  assert.ok(verifyMerkleProof(hashLeaf(0, wallet, 500), proof, root));
+  assert.ok(!verifyMerkleProof(hashLeaf(0, wallet, 501), proof, root));
+  assert.ok(!verifyMerkleProof(hashLeaf(0, crypto.randomBytes(32), 500), proof, root));
+  assert.ok(!verifyMerkleProof(hashLeaf(1, wallet, 500), proof, root));
+});
+
+let released;
+let created;
+
+beforeEach(() => {
+  released = [];
+  created = null;
+  mock.method(Post, 'updateMany', async (filter, update) => {
+    if (update.$pull) {
+      released.push(filter);
+      return { modifiedCount: 0 };
+    }
+    return { modifiedCount: 6 };
+  });
+  mock.method(Post, 'aggregate', async () => [
+    { _id: WALLETS[0], blabz: 1.25, postCount: 2 },
+    { _id: WALLETS[1], blabz: 0.3333, postCount: 1 },
+    { _id: WALLETS[2], blabz: 0.00000001, postCount: 1 },
+    { _id: WALLETS[3], blabz: 2, postCount: 2 }
+  ]);
+  mock.method(PayoutSnapshot, 'create', async doc => {
+    created = doc;
+    return doc;
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('a snapshot\'s root and proofs round-trip for every paid wallet', async () => {
+  const snapshot = await createPayoutSnapshot({ project: 'SOL', from: null, to: new Date(), createdBy: 'admin' });
+
+  assert.equal(snapshot, created);
+  assert.deepEqual(snapshot.allocations.map(row => [row.index, row.SOL_ID, row.amount]), [
+    [0, WALLETS[0], '1250000'],
+    [1, WALLETS[1], '333300'],
+    [2, WALLETS[3], '2000000']
+  ]);
+  assert.equal(snapshot.totalAmount, '3583300');
+  assert.equal(snapshot.postCount, 5);
+  // The wallet whose total rounds to zero is handed back unpaid
+  assert.deepEqual(released, [{ SOL_ID: { $in: [WALLETS[2]] }, 'payouts.snapshotId': snapshot._id }]);
+
+  const root = Buffer.from(snapshot.merkleRoot, 'hex');
+  for (const allocation of snapshot.allocations) {
+    const claim = getPayoutProof(snapshot, allocation.SOL_ID);
+    const leaf = hashLeaf(claim.index, decodeBase58(claim.SOL_ID), claim.amount);
+    assert.equal(claim.leaf, leaf.toString('hex'));
+    assert.ok(verifyMerkleProof(leaf, claim.proof.map(node => Buffer.from(node, 'hex')), root));
+  }
+  assert.equal(getPayoutProof(snapshot, WALLETS[2]), null);
+});
+
+test('nothing is snapshotted when no post can be claimed', async () => {
+  mock.method(Post, 'updateMany', async () => ({ modifiedCount: 0 }));
+  assert.equal(await createPayoutSnapshot({ project: 'SOL', from: null, to: new Date(), createdBy: 'admin' }), null);
+  assert.equal(created, null);
+});
@@ -0,0 +1,114 @@
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const express = require('express');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.TWITTER_CLIENT = 'fixture';
+process.env.TWITTER_FIXTURE_DIR = path.join(__dirname, '../fixtures/twitter');
+
+const Post = require('../models/post');
+const Project = require('../models/project');
+const User = require('../models/user');
+const ProcessedPost = require('../models/processedpost');
+const ScoringModel = require('../models/scoringmodel');
+const Campaign = require('../models/campaign');
+const Webhook = require('../models/webhook');
+const api = require('../routes/api');
+
+const USER_ID = '1700000000000000001';
+const dbProjects = [
+  { name: 'SOL', keywords: [], deletedAt: null },
+  { name: 'BONK', keywords: [], deletedAt: null }
+];
+
+// Chainable stand-in for a mongoose query resolving to `result`
+function query(result) {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    lean: async () => result,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+}
+
+let server;
+let baseUrl;
+let posts;
+let processed;
+let userUpdates;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(api);
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  posts = new Map();
+  processed = new Map();
+  userUpdates = [];
+  mock.method(User, 'findOne', () => query(null));
+  mock.method(User, 'findOneAndUpdate', async (filter, update) => ({ ...update.$set, DEV_ID: '', SOL_ID: '' }));
+  mock.method(User, 'updateOne', async (filter, update) => { userUpdates.push(update.$set); });
+  mock.method(Project, 'find', () => query(dbProjects));
+  mock.method(Project, 'updateMany', async () => {});
+  mock.method(ProcessedPost, 'findOne', filter => query(processed.get(filter.postId) || null));
+  mock.method(ProcessedPost, 'find', () => query([]));
+  mock.method(ProcessedPost, 'findOneAndUpdate', async (filter, record) => {
+    processed.set(filter.postId, { ...record });
+  });
+  mock.method(Post, 'findOne', filter => query(typeof filter.postId === 'string' ? posts.get(filter.postId) || null : null));
+  mock.method(Post, 'find', filter => query(filter.userId ? [...posts.values()].filter(post => post.userId === filter.userId) : []));
+  mock.method(Post, 'findOneAndUpdate', async (filter, update) => {
+    posts.set(filter.postId, { ...posts.get(filter.postId), ...update.$set });
+  });
+  mock.method(ScoringModel, 'findOne', () => query(null));
+  mock.method(Campaign, 'find', () => query([]));
+  mock.method(Webhook, 'find', () => query([]));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('GET /posts/:username looks up, fetches, scores and categorizes the fixture account offline', async () => {
+  const response = await fetch(`${baseUrl}/posts/blabz_demo`);
+  assert.equal(response.status, 200);
+  const body = await response.json();
+
+  assert.equal(body.message, 'Posts retrieved');
+  assert.deepEqual(Object.keys(body.posts), ['SOL', 'BONK']);
+  assert.deepEqual(body.posts.BONK, []);
+
+  const sol = body.posts.SOL;
+  assert.deepEqual(sol.map(post => post.postId).sort(), ['1800000000000000003', '1800000000000000004', '1800000000000000007']);
+  for (let i = 1; i < sol.length; i++) {
+    assert.ok(sol[i - 1].score >= sol[i].score, 'posts are sorted by score');
+  }
+  for (const post of sol) {
+    assert.ok(post.score > 0);
+    assert.ok(post.blabz > 0);
+    assert.deepEqual(post.project, ['SOL']);
+  }
+
+  // The retweet and the too-short "gm" are skipped, everything else joins a scored post
+  assert.equal(processed.get('1800000000000000001').reason, 'retweet');
+  assert.equal(processed.get('1800000000000000002').reason, 'short');
+  assert.equal(posts.size, 3);
+  assert.equal(userUpdates.at(-1)['timelineCursor.sinceId'], '1800000000000000008');
+});
+
+test('GET /posts/:username answers 404 for an account with no fixture', async () => {
+  const response = await fetch(`${baseUrl}/posts/nobody_here`);
+  assert.equal(response.status, 404);
+  assert.equal((await response.json()).error.message, 'Twitter user not found');
+});
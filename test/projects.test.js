@@ -0,0 +1,98 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+
+const Project = require('../models/project');
+const ProjectAudit = require('../models/projectaudit');
+const {
+  activeProjects,
+  validateProjectInput,
+  diffProject,
+  updateProject,
+  deleteProject,
+  restoreProject
+} = require('../services/projects');
+
+const apiKey = { _id: 'key-1', name: 'ops', role: 'admin' };
+
+let stored;
+let audits;
+
+beforeEach(() => {
+  stored = {
+    _id: 'p1',
+    name: 'SOL',
+    keywords: ['solana'],
+    matchRules: { words: ['solana'], cashtags: ['SOL'], regexes: [], exclude: [] },
+    deletedAt: null
+  };
+  audits = [];
+  mock.method(Project, 'findOneAndUpdate', (filter, update) => {
+    const deletedMatches = !('deletedAt' in filter) || (filter.deletedAt === null ? stored.deletedAt === null : stored.deletedAt !== null);
+    const result = filter._id === stored._id && deletedMatches ? (stored = { ...stored, ...update.$set }) : null;
+    return { lean: async () => result };
+  });
+  mock.method(ProjectAudit, 'create', async entry => { audits.push(entry); });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('active project filters exclude soft-deleted projects', () => {
+  assert.deepEqual(activeProjects(), { deletedAt: null });
+  assert.deepEqual(activeProjects({ name: 'SOL' }), { name: 'SOL', deletedAt: null });
+});
+
+test('project input is validated field by field and normalized', () => {
+  const created = validateProjectInput({ name: ' sol ', matchRules: { cashtags: ['$SOL'] } }, { creating: true });
+  assert.deepEqual(created, { data: { name: 'SOL', matchRules: { cashtags: ['SOL'] } }, errors: [] });
+
+  const { errors } = validateProjectInput({
+    name: 'OTHER',
+    website: 'ftp://example.com',
+    twitterUsername: 'not a handle',
+    followers_count: -1,
+    matchRules: { regexes: ['(?=x)'] }
+  });
+  assert.deepEqual(errors.slice(0, 1), ['name cannot be changed']);
+  assert.ok(errors.includes('Invalid website URL'));
+  assert.ok(errors.includes('twitterUsername must be a valid Twitter handle'));
+  assert.ok(errors.includes('followers_count must be a non-negative integer'));
+  assert.ok(errors.some(error => error.startsWith('matchRules.regexes entry "(?=x)" is not supported')));
+});
+
+test('diffs report nested match rules per field and skip unchanged values', () => {
+  assert.deepEqual(diffProject(stored, { keywords: ['solana'], matchRules: { words: ['solana', 'sol'] } }), [
+    { field: 'matchRules.words', from: ['solana'], to: ['solana', 'sol'] }
+  ]);
+});
+
+test('updates merge match rules and record who changed which fields', async () => {
+  const { project, changes } = await updateProject(stored, { description: 'Solana', matchRules: { exclude: ['rug'] } }, apiKey);
+
+  assert.deepEqual(project.matchRules, { words: ['solana'], cashtags: ['SOL'], regexes: [], exclude: ['rug'] });
+  assert.deepEqual(changes.map(change => change.field), ['description', 'matchRules.exclude']);
+  assert.equal(audits.length, 1);
+  assert.equal(audits[0].action, 'update');
+  assert.deepEqual(audits[0].actor, { name: 'ops', role: 'admin', apiKeyId: 'key-1' });
+
+  const unchanged = await updateProject(project, { description: 'Solana' }, apiKey);
+  assert.deepEqual(unchanged.changes, []);
+  assert.equal(audits.length, 1);
+});
+
+test('delete and restore are soft, audited, and only happen once', async () => {
+  const deleted = await deleteProject(stored, apiKey);
+  assert.ok(deleted.deletedAt instanceof Date);
+  assert.equal(deleted.deletedBy, 'ops');
+  assert.equal(await deleteProject(stored, apiKey), null);
+
+  const restored = await restoreProject(deleted, apiKey);
+  assert.equal(restored.deletedAt, null);
+  assert.equal(await restoreProject(restored, apiKey), null);
+
+  assert.deepEqual(audits.map(entry => entry.action), ['delete', 'restore']);
+  assert.deepEqual(audits[1].changes.map(change => [change.field, change.to]), [['deletedAt', null]]);
+});
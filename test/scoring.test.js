@@ -0,0 +1,91 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+
+const ScoringModel = require('../models/scoringmodel');
+const {
+  DEFAULT_SCORING_MODEL,
+  calculateQualityScore,
+  scoreForProjects,
+  resolveScoringModels,
+  validateScoringModel
+} = require('../services/scoring');
+
+const tweet = {
+  text: 'A'.repeat(150),
+  public_metrics: { like_count: 40, retweet_count: 5, quote_count: 2 }
+};
+
+function model(name, version, overrides = {}) {
+  return { ...DEFAULT_SCORING_MODEL, name, version, ...overrides };
+}
+
+// Stored versions by name, newest last
+let stored;
+let lookups;
+
+beforeEach(() => {
+  stored = {
+    default: [],
+    strict: [model('strict', 1), model('strict', 2, { pointsPerBlabz: 600 })]
+  };
+  lookups = 0;
+  mock.method(ScoringModel, 'findOne', filter => {
+    lookups++;
+    const versions = (stored[filter.name] || []).filter(entry => !filter.version || entry.version === filter.version);
+    const result = versions[versions.length - 1] || null;
+    const chain = { sort: () => chain, lean: async () => result };
+    return chain;
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('the default model reproduces the original formula', () => {
+  // 0.25 + 0.25 * (100 / 200) + 0.25 * min(56 / 1000, 1) = 0.389
+  assert.equal(calculateQualityScore(tweet, 1000), Math.round(0.389 * 99) + 1);
+});
+
+test('projects resolve their pinned version or the latest one, once per model', async () => {
+  const models = await resolveScoringModels([
+    { name: 'sol', scoringModel: { name: 'strict', version: 1 } },
+    { name: 'bonk', scoringModel: { name: 'strict', version: null } },
+    { name: 'jup', scoringModel: { name: 'strict', version: null } },
+    { name: 'wif' }
+  ]);
+
+  assert.equal(models.get('SOL').version, 1);
+  assert.equal(models.get('BONK').version, 2);
+  assert.equal(models.get('JUP'), models.get('BONK'));
+  assert.equal(models.get('WIF'), DEFAULT_SCORING_MODEL);
+  assert.equal(lookups, 3);
+});
+
+test('a missing model falls back to the default', async () => {
+  const models = await resolveScoringModels([{ name: 'sol', scoringModel: { name: 'gone', version: 4 } }]);
+  assert.equal(models.get('SOL'), DEFAULT_SCORING_MODEL);
+});
+
+test('each project is scored with its own model version and recorded with it', () => {
+  const result = scoreForProjects(tweet, 1000, [
+    { project: 'SOL', model: stored.strict[0] },
+    { project: 'BONK', model: stored.strict[1] }
+  ]);
+
+  const [sol, bonk] = result.scores;
+  assert.equal(sol.score, bonk.score);
+  assert.equal(sol.blabz, parseFloat((sol.score / 300).toFixed(4)));
+  assert.equal(bonk.blabz, parseFloat((bonk.score / 600).toFixed(4)));
+  assert.deepEqual([sol.scoringModel, sol.scoringModelVersion], ['strict', 1]);
+  assert.deepEqual([bonk.scoringModel, bonk.scoringModelVersion], ['strict', 2]);
+  assert.equal(result.blabz, parseFloat((sol.blabz + bonk.blabz).toFixed(4)));
+});
+
+test('rejects models whose weights can push the score past 1', () => {
+  assert.deepEqual(validateScoringModel({ weights: { base: 0.5, length: 0.5, engagement: 0.5 } }).errors, ['weights combined with caps must not exceed 1']);
+  assert.deepEqual(validateScoringModel({ pointsPerBlabz: -1 }).errors, ['pointsPerBlabz must be a non-negative number']);
+  assert.deepEqual(validateScoringModel({}).errors, []);
+});
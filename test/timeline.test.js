@@ -0,0 +1,106 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.TIMELINE_PAGE_BUDGET = '2';
+
+const { setClient, fetchUserTimeline, nextCursor } = require('../services/twitter');
+
+const PAGE_SIZE = 3;
+
+// Timeline served like the X API: newest first, since_id/until_id bounds, PAGE_SIZE tweets a page
+// with the offset as pagination_token. failOnPage makes that page answer 429.
+let timeline;
+let failOnPage;
+let requests;
+
+function tweetIds(from, to) {
+  const ids = [];
+  for (let id = to; id >= from; id--) ids.push(String(id));
+  return ids;
+}
+
+function tweetsBetween(from, to) {
+  return tweetIds(from, to).map(id => ({ id, text: `tweet ${id}` }));
+}
+
+beforeEach(() => {
+  timeline = tweetsBetween(100, 115);
+  failOnPage = null;
+  requests = [];
+  setClient({
+    name: 'paged',
+    getUserTimeline: async (userId, params) => {
+      requests.push(params);
+      const offset = parseInt(params.pagination_token) || 0;
+      if (failOnPage !== null && offset / PAGE_SIZE === failOnPage) {
+        throw { response: { status: 429, headers: {} }, message: 'Too Many Requests' };
+      }
+      const matching = timeline.filter(tweet => (!params.since_id || BigInt(tweet.id) > BigInt(params.since_id)) &&
+        (!params.until_id || BigInt(tweet.id) < BigInt(params.until_id)));
+      const data = matching.slice(offset, offset + PAGE_SIZE);
+      if (!data.length) return { meta: { result_count: 0 } };
+      const meta = { result_count: data.length, newest_id: data[0].id, oldest_id: data[data.length - 1].id };
+      if (offset + PAGE_SIZE < matching.length) meta.next_token = String(offset + PAGE_SIZE);
+      return { data, meta };
+    }
+  });
+});
+
+// One scheduler run: fetch from the stored cursor and advance it
+async function run(cursor) {
+  const result = await fetchUserTimeline('1', { sinceId: cursor.sinceId || undefined, untilId: cursor.untilId || undefined });
+  return { ids: result.tweets.map(tweet => tweet.id), cursor: nextCursor(cursor, result) };
+}
+
+test('truncated fetches continue below the oldest tweet until the backlog is read', async () => {
+  let cursor = {};
+  const seen = [];
+  const cursors = [];
+  for (let i = 0; i < 3; i++) {
+    const step = await run(cursor);
+    seen.push(...step.ids);
+    cursor = step.cursor;
+    cursors.push(cursor);
+  }
+
+  assert.deepEqual(seen, tweetIds(100, 115));
+  assert.deepEqual(cursors, [
+    { sinceId: null, untilId: '110', pendingSinceId: '115' },
+    { sinceId: null, untilId: '104', pendingSinceId: '115' },
+    { sinceId: '115', untilId: null, pendingSinceId: null }
+  ]);
+
+  // Once caught up, only newer tweets are fetched
+  timeline = [...tweetsBetween(116, 117), ...timeline];
+  const next = await run(cursor);
+  assert.deepEqual(next.ids, ['117', '116']);
+  assert.deepEqual(next.cursor, { sinceId: '117', untilId: null, pendingSinceId: null });
+});
+
+test('tweets posted while the backlog is read are picked up after the gap closes', async () => {
+  let { cursor } = await run({ sinceId: '99' });
+  assert.deepEqual(cursor, { sinceId: '99', untilId: '110', pendingSinceId: '115' });
+
+  timeline = [...tweetsBetween(116, 118), ...timeline];
+  const gap = await run(cursor);
+  assert.deepEqual(gap.ids, tweetIds(104, 109));
+  assert.ok(requests.every(params => params.since_id === '99'));
+
+  const closing = await run(gap.cursor);
+  assert.deepEqual(closing.ids, tweetIds(100, 103));
+  assert.deepEqual(closing.cursor, { sinceId: '115', untilId: null, pendingSinceId: null });
+
+  const newer = await run(closing.cursor);
+  assert.deepEqual(newer.ids, ['118', '117', '116']);
+});
+
+test('a rate limit after the first page keeps the cursor where it was', async () => {
+  const cursor = { sinceId: '99', untilId: '110', pendingSinceId: '115' };
+  failOnPage = 1;
+
+  const step = await run(cursor);
+
+  assert.deepEqual(step.ids, ['109', '108', '107']);
+  assert.deepEqual(step.cursor, cursor);
+});
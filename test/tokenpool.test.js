@@ -0,0 +1,92 @@
+const { test, before, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.TWITTER_CLIENT = 'http';
+process.env.X_BEARER_TOKENS = 'first-token-1111,second-token-2222,third-token-3333';
+
+const { ENDPOINTS, fetchTwitterUser, lookupTweets, isRateLimited, getTokenPoolState } = require('../services/twitter');
+
+// Status each bearer token answers with (200 when unset), and which tokens were called, in order
+let statuses;
+let calls;
+
+function httpError(status, headers = {}) {
+  const err = new Error(`Request failed with status code ${status}`);
+  err.response = { status, headers, data: {} };
+  return err;
+}
+
+before(() => {
+  mock.method(axios, 'create', ({ headers }) => ({
+    get: async url => {
+      const token = headers.Authorization.replace('Bearer ', '');
+      calls.push(token);
+      const status = statuses[token] || 200;
+      if (status === 429) {
+        throw httpError(429, { 'x-rate-limit-limit': '900', 'x-rate-limit-remaining': '0', 'x-rate-limit-reset': String(Math.floor(Date.now() / 1000) + 900) });
+      }
+      if (status !== 200) throw httpError(status);
+      const data = url.startsWith('/users/by/username/') ? { id: '1', username: url.split('/').pop() } : [{ id: '10', text: 'gm' }];
+      return { status: 200, headers: { 'x-rate-limit-limit': '900', 'x-rate-limit-remaining': '899' }, data: { data } };
+    }
+  }));
+});
+
+beforeEach(() => {
+  statuses = {};
+  calls = [];
+});
+
+test('a 429 fails over to the next token and keeps only that token off the endpoint', async () => {
+  statuses['first-token-1111'] = 429;
+  const user = await fetchTwitterUser('blabz_demo');
+  assert.equal(user.username, 'blabz_demo');
+  assert.deepEqual(calls, ['first-token-1111', 'second-token-2222']);
+
+  // The limited token is skipped on the endpoint it hit, but still serves the others
+  statuses = {};
+  calls = [];
+  await fetchTwitterUser('blabz_demo');
+  await fetchTwitterUser('blabz_demo');
+  assert.deepEqual(calls, ['third-token-3333', 'second-token-2222']);
+  calls = [];
+  for (let i = 0; i < 3; i++) await lookupTweets(['10']);
+  assert.deepEqual([...calls].sort(), ['first-token-1111', 'second-token-2222', 'third-token-3333']);
+
+  const first = getTokenPoolState().find(entry => entry.id === 'token-1');
+  assert.equal(first.status, 'limited');
+  assert.equal(isRateLimited(ENDPOINTS.USER_LOOKUP), false);
+});
+
+test('a 401 takes the token out of rotation on every endpoint', async () => {
+  statuses['second-token-2222'] = 401;
+  for (let i = 0; i < 4; i++) await lookupTweets(['10']);
+  await fetchTwitterUser('blabz_demo');
+
+  assert.equal(calls.filter(token => token === 'second-token-2222').length, 1);
+  assert.equal(calls.length, 6);
+  const second = getTokenPoolState().find(entry => entry.id === 'token-2');
+  assert.equal(second.status, 'unauthorized');
+  assert.ok(second.unauthorizedUntil > new Date());
+});
+
+test('the endpoint is limited once every remaining token answers 429', async () => {
+  statuses['first-token-1111'] = 429;
+  statuses['third-token-3333'] = 429;
+
+  await assert.rejects(lookupTweets(['10']), err => err.response?.status === 429);
+  assert.equal(isRateLimited(ENDPOINTS.TWEETS_LOOKUP), true);
+
+  // With no usable token left the call fails without reaching the API
+  calls = [];
+  await assert.rejects(lookupTweets(['10']), err => err.response?.status === 429);
+  assert.deepEqual(calls, []);
+});
+
+test('pool state never exposes the bearer tokens', () => {
+  const state = JSON.stringify(getTokenPoolState());
+  assert.ok(!state.includes('first-token-1111'));
+  assert.match(state, /…1111/);
+});
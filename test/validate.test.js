@@ -0,0 +1,109 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.LOG_LEVEL = 'silent';
+
+const { validate } = require('../middleware/validate');
+const { params, pagination, nonEmptyString } = require('../middleware/schemas');
+const { buildOpenApiDocument } = require('../services/openapi');
+const exportRoutes = require('../routes/export');
+const projectRoutes = require('../routes/projects');
+
+const router = express.Router();
+router.post('/items/:itemId', validate({
+  summary: 'Echo what the handler sees',
+  params: params({ itemId: { type: 'string', pattern: '^[0-9]+$' } }),
+  query: { type: 'object', required: ['mode'], properties: { mode: { type: 'string', enum: ['a', 'b'] }, ...pagination(20, 100) } },
+  body: {
+    type: 'object',
+    required: ['name'],
+    properties: { name: nonEmptyString, tags: { type: 'array', items: nonEmptyString }, notify: { type: 'boolean', default: true } }
+  }
+}), (req, res) => res.json({ query: req.query, body: req.body }));
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(router);
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+async function post(path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('every failing field is reported in one VALIDATION_ERROR envelope', async () => {
+  const { status, body } = await post('/items/abc?mode=c&limit=500', { name: '', tags: ['ok', 3] });
+
+  assert.equal(status, 400);
+  assert.equal(body.error.code, 'VALIDATION_ERROR');
+  assert.equal(body.error.message, 'Request validation failed');
+  assert.deepEqual(body.error.fields, [
+    { field: 'params.itemId', message: 'must match ^[0-9]+$' },
+    { field: 'query.mode', message: 'must be one of: a, b' },
+    { field: 'query.limit', message: 'must be <= 100' },
+    { field: 'body.name', message: 'must not be empty' },
+    { field: 'body.tags[1]', message: 'must be of type string' }
+  ]);
+});
+
+test('missing required values and non-object bodies are rejected', async () => {
+  const missing = await post('/items/1', {});
+  assert.deepEqual(missing.body.error.fields, [
+    { field: 'query.mode', message: 'is required' },
+    { field: 'body.name', message: 'is required' }
+  ]);
+
+  const notObject = await post('/items/1?mode=a', ['name']);
+  assert.deepEqual(notObject.body.error.fields, [{ field: 'body', message: 'must be a JSON object' }]);
+});
+
+test('schema defaults reach the handler, as strings in the query', async () => {
+  const { status, body } = await post('/items/1?mode=a&limit=', { name: 'x' });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.query, { mode: 'a', page: '1', limit: '20' });
+  assert.deepEqual(body.body, { name: 'x', notify: true });
+
+  const explicit = await post('/items/1?mode=a&page=3', { name: 'x', notify: false });
+  assert.equal(explicit.body.query.page, '3');
+  assert.equal(explicit.body.body.notify, false);
+});
+
+test('the OpenAPI document is built from the same schemas', () => {
+  const document = buildOpenApiDocument([router, exportRoutes, projectRoutes], { basePath: '/solcontent', title: 'Test', version: '1.0.0' });
+
+  assert.equal(document.openapi, '3.1.0');
+  const item = document.paths['/solcontent/items/{itemId}'].post;
+  assert.equal(item.summary, 'Echo what the handler sees');
+  assert.deepEqual(item.parameters.map(parameter => [parameter.in, parameter.name, parameter.required]), [
+    ['path', 'itemId', true],
+    ['query', 'mode', true],
+    ['query', 'page', false],
+    ['query', 'limit', false]
+  ]);
+  assert.equal(item.parameters[3].schema.default, 20);
+  assert.equal(item.requestBody.content['application/json'].schema.properties.notify.default, true);
+  assert.equal(item.security, undefined);
+
+  const exportPosts = document.paths['/solcontent/export/posts'].get;
+  assert.deepEqual(exportPosts.parameters.find(parameter => parameter.name === 'format').schema, { type: 'string', enum: ['csv', 'ndjson'], default: 'csv' });
+  assert.deepEqual(exportPosts.security, [{ bearerAuth: [] }, { apiKeyHeader: [] }]);
+  assert.equal(exportPosts.responses[400].content['application/json'].schema.$ref, '#/components/schemas/Error');
+  assert.ok(document.components.schemas.Error.properties.error.properties.code.enum.includes('VALIDATION_ERROR'));
+  assert.ok(document.paths['/solcontent/projects/{project}']);
+});
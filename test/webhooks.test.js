@@ -0,0 +1,144 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+process.env.LOG_LEVEL = 'silent';
+
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookdelivery');
+const { MAX_ATTEMPTS, retryDelay, checkWebhookUrl, attemptDelivery, retryDueDeliveries } = require('../services/webhooks');
+
+const SECRET = 'test-secret-0123456789';
+
+// Local receiver answering with the queued status codes (200 once they run out) and keeping every request
+function startReceiver(statuses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(statuses.shift() || 200);
+      res.end();
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/hook` });
+  }));
+}
+
+function makeDelivery(attempts = 0) {
+  return {
+    _id: new WebhookDelivery()._id,
+    event: 'post.scored',
+    attempts,
+    payload: { event: 'post.scored', project: 'SOL', data: { post: { postId: '1' } } }
+  };
+}
+
+let updates;
+let receiver;
+
+beforeEach(async () => {
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+  updates = [];
+  mock.method(WebhookDelivery, 'updateOne', async (filter, update) => {
+    updates.push({ filter, set: update.$set });
+  });
+});
+
+afterEach(async () => {
+  mock.restoreAll();
+  delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+  if (receiver) {
+    await new Promise(resolve => receiver.server.close(resolve));
+    receiver = null;
+  }
+});
+
+test('signs the raw body as t=<timestamp>,v1=<hmac>', async () => {
+  receiver = await startReceiver();
+  const delivery = makeDelivery();
+  await attemptDelivery(delivery, { url: receiver.url, secret: SECRET });
+
+  assert.equal(receiver.requests.length, 1);
+  const { headers, body } = receiver.requests[0];
+  const match = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(headers['x-blabz-signature']);
+  assert.ok(match, `unexpected signature header ${headers['x-blabz-signature']}`);
+  const expected = crypto.createHmac('sha256', SECRET).update(`${match[1]}.${body}`).digest('hex');
+  assert.equal(match[2], expected);
+  assert.ok(Math.abs(Date.now() / 1000 - Number(match[1])) < 60);
+  assert.deepEqual(JSON.parse(body), delivery.payload);
+  assert.equal(headers['x-blabz-event'], 'post.scored');
+  assert.equal(headers['x-blabz-delivery'], String(delivery._id));
+  assert.equal(updates[0].set.status, 'succeeded');
+  assert.equal(updates[0].set.responseStatus, 200);
+});
+
+test('schedules a failed delivery again with exponential backoff', async () => {
+  receiver = await startReceiver([500, 503]);
+  const before = Date.now();
+  await attemptDelivery(makeDelivery(0), { url: receiver.url, secret: SECRET });
+  await attemptDelivery(makeDelivery(1), { url: receiver.url, secret: SECRET });
+
+  assert.equal(receiver.requests.length, 2);
+  const [first, second] = updates.map(update => update.set);
+  assert.equal(first.status, 'pending');
+  assert.equal(first.attempts, 1);
+  assert.equal(first.responseStatus, 500);
+  assert.ok(first.nextAttemptAt - before >= retryDelay(1));
+  assert.equal(second.attempts, 2);
+  assert.equal(second.responseStatus, 503);
+  assert.equal(retryDelay(2), 2 * retryDelay(1));
+  assert.ok(second.nextAttemptAt - before >= retryDelay(2));
+});
+
+test('gives up after the last attempt', async () => {
+  receiver = await startReceiver([500]);
+  await attemptDelivery(makeDelivery(MAX_ATTEMPTS - 1), { url: receiver.url, secret: SECRET });
+
+  assert.equal(updates[0].set.status, 'failed');
+  assert.equal(updates[0].set.attempts, MAX_ATTEMPTS);
+  assert.equal(updates[0].set.nextAttemptAt, null);
+});
+
+test('the retry job delivers due deliveries once the receiver recovers', async () => {
+  receiver = await startReceiver();
+  const webhook = { _id: new Webhook()._id, url: receiver.url, secret: SECRET, active: true };
+  const delivery = { ...makeDelivery(2), webhookId: webhook._id, status: 'pending', nextAttemptAt: new Date(Date.now() - 1000) };
+  const query = result => ({ sort: () => query(result), limit: () => query(result), lean: async () => result });
+  mock.method(WebhookDelivery, 'find', () => query([delivery]));
+  mock.method(Webhook, 'find', () => query([webhook]));
+
+  await retryDueDeliveries();
+
+  assert.equal(receiver.requests.length, 1);
+  assert.equal(updates[0].set.status, 'succeeded');
+  assert.equal(updates[0].set.attempts, 3);
+});
+
+test('rejects receivers on private addresses or without https', async () => {
+  delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+  for (const url of [
+    'http://93.184.216.34/hook',
+    'https://127.0.0.1/hook',
+    'https://localhost/hook',
+    'https://10.1.2.3/hook',
+    'https://169.254.169.254/latest/meta-data',
+    'https://[::1]/hook',
+    'https://[::ffff:192.168.0.1]/hook'
+  ]) {
+    assert.notEqual(await checkWebhookUrl(url), null, url);
+  }
+  assert.equal(await checkWebhookUrl('https://93.184.216.34/hook'), null);
+});
+
+test('does not deliver to a private address', async () => {
+  receiver = await startReceiver();
+  delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+  await attemptDelivery(makeDelivery(0), { url: receiver.url, secret: SECRET });
+
+  assert.equal(receiver.requests.length, 0);
+  assert.equal(updates[0].set.status, 'pending');
+});